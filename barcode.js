@@ -0,0 +1,222 @@
+// Auto Bill Recorder Barcode Scanning
+//
+// Reads EAN-13, EAN-8 and UPC-A codes from a camera frame or a photo. The browser's
+// BarcodeDetector is used where it exists; elsewhere the small decoder below reads
+// the bars from a few rows of pixels, so scanning works offline in every browser.
+//
+// Codes are returned as digit strings; UPC-A codes get a leading zero so they match
+// the same product's EAN-13 code.
+
+const BARCODE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+
+// Bar and space widths of each digit, in modules (L set; the R set has the same widths)
+const EAN_L_WIDTHS = ['3211', '2221', '2122', '1411', '1132', '1231', '1114', '1312', '1213', '3112'].map(code => [...code].map(Number));
+// G set: the L widths reversed
+const EAN_G_WIDTHS = EAN_L_WIDTHS.map(widths => widths.slice().reverse());
+// First EAN-13 digit, encoded by which of the left six digits use the G set
+const EAN_FIRST_DIGIT_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// A digit only counts when its widths are this close to a known pattern
+const EAN_MAX_DIGIT_ERROR = 0.9;
+const BARCODE_SCAN_ROWS = 15;
+const BARCODE_MAX_WIDTH = 1280;
+
+class BarcodeScanner {
+    constructor() {
+        this.detector = null;
+    }
+
+    hasNativeDetector() {
+        return typeof BarcodeDetector !== 'undefined';
+    }
+
+    // Resolves with the first code found in a video, image, canvas or ImageBitmap, or null
+    async detect(source) {
+        if (this.hasNativeDetector()) {
+            try {
+                if (!this.detector) {
+                    const supported = await BarcodeDetector.getSupportedFormats();
+                    this.detector = new BarcodeDetector({ formats: BARCODE_FORMATS.filter(format => supported.includes(format)) });
+                }
+                const found = await this.detector.detect(source);
+                const code = found.map(barcode => this.normalizeCode(barcode.rawValue)).find(Boolean);
+                if (code) return code;
+            } catch (error) {
+                // Unsupported formats or sources fall back to the bundled decoder
+                console.warn('BarcodeDetector failed:', error);
+            }
+        }
+        return this.decodeImageData(this.getImageData(source));
+    }
+
+    getImageData(source) {
+        const width = source.videoWidth || source.naturalWidth || source.width;
+        const height = source.videoHeight || source.naturalHeight || source.height;
+        const scale = Math.min(1, BARCODE_MAX_WIDTH / width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(source, 0, 0, canvas.width, canvas.height);
+        return context.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    // Digits only; 12-digit UPC-A codes become their 13-digit EAN form
+    normalizeCode(value) {
+        const digits = String(value || '').replace(/\D/g, '');
+        if (digits.length === 12) return '0' + digits;
+        return digits || null;
+    }
+
+    isValidCode(code) {
+        if (!/^\d{8}$|^\d{13}$/.test(code)) return false;
+        const digits = [...code].map(Number);
+        const check = digits.pop();
+        const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 === 0 ? 3 : 1), 0);
+        return (10 - sum % 10) % 10 === check;
+    }
+
+    // Bundled decoder: scans rows across the image, in both directions
+    decodeImageData(imageData) {
+        const { width, height, data } = imageData;
+        for (let step = 0; step < BARCODE_SCAN_ROWS; step++) {
+            // Start from the middle row and work outwards
+            const offset = Math.ceil(step / 2) * (step % 2 === 0 ? 1 : -1);
+            const y = Math.round(height / 2 + offset * height / (BARCODE_SCAN_ROWS + 1));
+            if (y < 0 || y >= height) continue;
+
+            const row = new Float32Array(width);
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                row[x] = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+            }
+
+            const code = this.decodeRuns(this.getRuns(row));
+            if (code) return code;
+        }
+        return null;
+    }
+
+    // Widths of alternating light and dark stretches, starting with light
+    getRuns(row) {
+        let min = 255;
+        let max = 0;
+        row.forEach(value => {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        });
+        if (max - min < 40) return [];
+
+        const threshold = (min + max) / 2;
+        const runs = [];
+        let dark = false;
+        let length = 0;
+        row.forEach(value => {
+            const isDark = value < threshold;
+            if (isDark === dark) {
+                length++;
+            } else {
+                runs.push(length);
+                dark = isDark;
+                length = 1;
+            }
+        });
+        runs.push(length);
+        return runs;
+    }
+
+    // Runs alternate light, dark, light...; a code starts at any dark run after a quiet zone
+    decodeRuns(runs) {
+        for (let start = 1; start < runs.length; start += 2) {
+            const code = this.decodeEan(runs, start, 13) || this.decodeEan(runs, start, 8);
+            if (code) return code;
+        }
+        return null;
+    }
+
+    decodeEan(runs, start, length) {
+        const half = length === 13 ? 6 : 4;
+        const total = 3 + half * 4 + 5 + half * 4 + 3;
+        if (start + total > runs.length) return null;
+
+        const modules = length === 13 ? 95 : 67;
+        const barWidth = runs.slice(start, start + total).reduce((sum, run) => sum + run, 0);
+        const module = barWidth / modules;
+
+        // Quiet zone before the start guard, then bar-space-bar of one module each
+        if (runs[start - 1] < module * 3) return null;
+        if (!this.matchesGuard(runs.slice(start, start + 3), module)) return null;
+
+        let position = start + 3;
+        const left = this.matchDigits(runs, position, half);
+        if (!left) return null;
+        position += half * 4;
+
+        if (!this.matchesGuard(runs.slice(position, position + 5), module)) return null;
+        position += 5;
+
+        const right = this.matchDigits(runs, position, half);
+        if (!right) return null;
+        position += half * 4;
+
+        if (!this.matchesGuard(runs.slice(position, position + 3), module)) return null;
+
+        // The right half only uses L widths; read upside down it shows up on the left as G widths
+        let digits;
+        let parity;
+        if (right.parity === 'L'.repeat(half)) {
+            digits = [...left.digits, ...right.digits];
+            parity = left.parity;
+        } else if (left.parity === 'G'.repeat(half)) {
+            digits = [...left.digits, ...right.digits].reverse();
+            parity = [...right.parity].reverse().map(set => set === 'L' ? 'G' : 'L').join('');
+        } else {
+            return null;
+        }
+
+        let code;
+        if (length === 13) {
+            const first = EAN_FIRST_DIGIT_PARITY.indexOf(parity);
+            if (first === -1) return null;
+            code = first + digits.join('');
+        } else {
+            if (parity !== 'LLLL') return null;
+            code = digits.join('');
+        }
+        return this.isValidCode(code) ? code : null;
+    }
+
+    matchDigits(runs, position, count) {
+        const digits = [];
+        let parity = '';
+        for (let i = 0; i < count; i++) {
+            const digit = this.matchDigit(runs.slice(position + i * 4, position + i * 4 + 4));
+            if (!digit) return null;
+            digits.push(digit.value);
+            parity += digit.set;
+        }
+        return { digits, parity };
+    }
+
+    matchesGuard(widths, module) {
+        return widths.every(width => width > module * 0.4 && width < module * 1.8);
+    }
+
+    // Best matching digit for four runs, with the width set it matched
+    matchDigit(widths) {
+        if (widths.length < 4) return null;
+        const sum = widths.reduce((total, width) => total + width, 0);
+        const normalized = widths.map(width => width * 7 / sum);
+        const error = pattern => pattern.reduce((total, value, index) => total + Math.abs(value - normalized[index]), 0);
+
+        let best = null;
+        [['L', EAN_L_WIDTHS], ['G', EAN_G_WIDTHS]].forEach(([set, patterns]) => {
+            patterns.forEach((pattern, value) => {
+                const difference = error(pattern);
+                if (!best || difference < best.error) best = { value, set, error: difference };
+            });
+        });
+        return best && best.error < EAN_MAX_DIGIT_ERROR ? best : null;
+    }
+}
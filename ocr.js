@@ -0,0 +1,104 @@
+// Auto Bill Recorder Receipt OCR
+//
+// Text recognition runs entirely in the browser with Tesseract.js, served from the
+// app's own folder so receipt photos never leave the device (versions in vendor/tesseract/README.md):
+//
+//   vendor/tesseract/tesseract.min.js        the library (loaded by index.html)
+//   vendor/tesseract/worker.min.js           its web worker
+//   vendor/tesseract/core/                   the WebAssembly core files
+//   vendor/tesseract/lang/eng.traineddata.gz English language data
+//
+// ReceiptScanner turns the recognised text into draft line items with amounts in paise.
+
+const OCR_ASSET_PATH = 'vendor/tesseract';
+
+const RECEIPT_AMOUNT = '\\d+(?:[.,]\\d{1,2})?';
+
+// Line item layouts, tried in order
+const RECEIPT_LINE_PATTERNS = [
+    // "Milk 2 x 33.00 66.00" or "Milk 2 @ 33.00"
+    { pattern: new RegExp(`^(.*?[a-z].*?)\\s+(\\d+)\\s*[x×@*]\\s*(${RECEIPT_AMOUNT})(?:\\s+(${RECEIPT_AMOUNT}))?$`, 'i'), fields: ['name', 'quantity', 'price', 'total'] },
+    // "Milk 2 33.00 66.00" - only when quantity × price gives the total
+    { pattern: new RegExp(`^(.*?[a-z].*?)\\s+(\\d+)\\s+(${RECEIPT_AMOUNT})\\s+(${RECEIPT_AMOUNT})$`, 'i'), fields: ['name', 'quantity', 'price', 'total'], checked: true },
+    // "2 Milk 66.00"
+    { pattern: new RegExp(`^(\\d+)\\s*[x×]?\\s+(.*?[a-z].*?)\\s+(${RECEIPT_AMOUNT})$`, 'i'), fields: ['quantity', 'name', 'total'] },
+    // "Milk 66.00"
+    { pattern: new RegExp(`^(.*?[a-z].*?)\\s+(${RECEIPT_AMOUNT})$`, 'i'), fields: ['name', 'total'] }
+];
+
+// Headers, totals, taxes and payment lines are not products
+const RECEIPT_SKIP_PATTERN = /\b(sub\s*total|total|net\s*amount|amount\s*due|tax|gst|cgst|sgst|igst|vat|cash|card|upi|change|balance|tender|discount|round|saving|invoice|bill\s*no|receipt|date|time|gstin|phone|tel|mobile|thank|items?|qty)\b/i;
+const RECEIPT_TOTAL_PATTERN = /\b(grand\s*total|net\s*amount|net\s*total|amount\s*due|total)\b/i;
+
+class ReceiptScanner {
+    isAvailable() {
+        return typeof Tesseract !== 'undefined';
+    }
+
+    // Resolves with the receipt's text; onProgress gets a fraction between 0 and 1
+    async recognize(image, onProgress) {
+        const worker = await Tesseract.createWorker('eng', 1, {
+            workerPath: `${OCR_ASSET_PATH}/worker.min.js`,
+            corePath: `${OCR_ASSET_PATH}/core`,
+            langPath: `${OCR_ASSET_PATH}/lang`,
+            workerBlobURL: false,
+            logger: message => {
+                if (message.status === 'recognizing text' && onProgress) onProgress(message.progress);
+            }
+        });
+
+        try {
+            const { data } = await worker.recognize(image);
+            return data.text;
+        } finally {
+            await worker.terminate();
+        }
+    }
+
+    // Returns { items: [{ name, quantity, price, total, text }], total } with the receipt's own total, if printed
+    parse(text) {
+        const lines = text.split(/\r?\n/).map(line => this.cleanLine(line)).filter(Boolean);
+        const totalLine = lines.filter(line => RECEIPT_TOTAL_PATTERN.test(line) && !/sub\s*total/i.test(line)).pop();
+        const totalMatch = totalLine?.match(new RegExp(`(${RECEIPT_AMOUNT})$`));
+
+        return {
+            items: lines.map(line => this.parseLine(line)).filter(Boolean),
+            total: totalMatch ? this.parseAmount(totalMatch[1]) : null
+        };
+    }
+
+    cleanLine(line) {
+        return line
+            .replace(/₹|\brs\.?|\binr\b/gi, ' ')
+            .replace(/(\d),(\d{3})(?!\d)/g, '$1$2')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    parseLine(line) {
+        if (!/[a-z]/i.test(line) || RECEIPT_SKIP_PATTERN.test(line)) return null;
+
+        for (const { pattern, fields, checked } of RECEIPT_LINE_PATTERNS) {
+            const match = line.match(pattern);
+            if (!match) continue;
+
+            const values = Object.fromEntries(fields.map((field, index) => [field, match[index + 1]]));
+            const quantity = values.quantity ? parseInt(values.quantity) : 1;
+            const price = values.price ? this.parseAmount(values.price) : null;
+            const total = values.total ? this.parseAmount(values.total) : price * quantity;
+            if (!(quantity > 0) || !(total > 0)) continue;
+            if (checked && Math.abs(price * quantity - total) > quantity) continue;
+
+            const name = values.name.replace(/^[^\w]+|[^\w)]+$/g, '');
+            if (!name) continue;
+
+            return { name, quantity, price: price ?? Math.round(total / quantity), total, text: line };
+        }
+        return null;
+    }
+
+    // OCR often reads the decimal point as a comma
+    parseAmount(value) {
+        return Math.round(parseFloat(value.replace(',', '.')) * 100);
+    }
+}
@@ -1,16 +1,196 @@
 // Auto Bill Recorder JavaScript Application
 
+// Sync retry backoff: 5s, 10s, 20s ... capped at 5 minutes
+const SYNC_RETRY_BASE_DELAY = 5000;
+const SYNC_RETRY_MAX_DELAY = 5 * 60 * 1000;
+
+// Payment methods a bill can be paid with (a bill may be split across several)
+const PAYMENT_METHODS = [
+    { value: 'Cash', icon: '💵' },
+    { value: 'Card', icon: '💳' },
+    { value: 'UPI', icon: '📱' },
+    { value: 'Net Banking', icon: '🏦' },
+    { value: 'Wallet', icon: '👛' },
+    { value: 'Other', icon: '🔄' }
+];
+
+// Built-in categories; each can be renamed, recolored, merged or archived
+const DEFAULT_CATEGORIES = [
+    { name: 'General', color: '#6b7280', icon: '📦', archived: false },
+    { name: 'Food', color: '#f59e0b', icon: '🍔', archived: false },
+    { name: 'Electronics', color: '#06b6d4', icon: '💻', archived: false },
+    { name: 'Clothing', color: '#ec4899', icon: '👕', archived: false },
+    { name: 'Groceries', color: '#10b981', icon: '🛒', archived: false },
+    { name: 'Medicine', color: '#8b5cf6', icon: '💊', archived: false },
+    { name: 'Other', color: '#ef4444', icon: '🔖', archived: false }
+];
+
+// Colors handed out to categories found on imported bills
+const CATEGORY_PALETTE = ['#10b981', '#06b6d4', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#6b7280', '#84cc16', '#f97316', '#0ea5e9'];
+
+// Totals, charts and budgets are in the base currency; other currencies convert with a dated rate
+const BASE_CURRENCY = 'INR';
+const CURRENCIES = [
+    { code: 'INR', symbol: '₹', name: 'Indian Rupee' },
+    { code: 'USD', symbol: '$', name: 'US Dollar' },
+    { code: 'EUR', symbol: '€', name: 'Euro' },
+    { code: 'AED', symbol: 'AED ', name: 'UAE Dirham' },
+    { code: 'GBP', symbol: '£', name: 'British Pound' },
+    { code: 'SGD', symbol: 'S$', name: 'Singapore Dollar' }
+];
+
+// GST slabs (percent)
+const GST_RATES = [0, 5, 12, 18, 28];
+
+// Reporting periods shared by Bill History, the Dashboard and Monthly Reports; quarters and years follow the April-March financial year
+const PERIODS = [
+    { value: 'all', label: 'All Time' },
+    { value: 'today', label: 'Today' },
+    { value: 'week', label: 'Last 7 Days' },
+    { value: 'month', label: 'This Month' },
+    { value: 'last-month', label: 'Last Month' },
+    { value: 'quarter', label: 'This Quarter' },
+    { value: 'last-quarter', label: 'Last Quarter' },
+    { value: 'fy', label: 'This Financial Year' },
+    { value: 'last-fy', label: 'Last Financial Year' },
+    { value: 'custom', label: 'Custom Range' }
+];
+
+// Overdue recurring occurrences: at most `max` are recorded per template (the latest ones), and saving a
+// template with more than `confirmAbove` already overdue asks first
+const RECURRING_BACKFILL = { max: 52, confirmAbove: 3 };
+
+// Share of a budget (%) at which a system notification is sent, once per month each
+const NOTIFICATION_THRESHOLDS = [50, 75, 90, 100];
+
+// System notifications that can be turned on and off one by one
+const NOTIFICATION_ALERTS = [
+    { value: 'budget', label: 'Monthly budget at 50%, 75%, 90% and 100%' },
+    { value: 'categories', label: 'Category budgets at 50%, 75%, 90% and 100%' },
+    { value: 'forecast', label: 'Spending on pace to go over budget' },
+    { value: 'recurring', label: 'Recurring bills due today or tomorrow and not recorded yet' }
+];
+
+// How far above the usual a bill, a category's month or a product's price must be to count as unusual
+const UNUSUAL_SPEND = { billFactor: 3, categoryFactor: 2, priceFactor: 1.5, minimumBills: 5, recentDays: 30 };
+
+// Line-item CSV layout, shared by export and the import column mapping
+const CSV_COLUMNS = [
+    { key: 'billId', header: 'bill_id', label: 'Bill ID', aliases: ['id', 'invoice', 'bill no'], value: (bill) => bill.id },
+    { key: 'date', header: 'date', label: 'Date', required: true, aliases: ['bill date', 'purchase date'], value: (bill) => bill.date },
+    { key: 'name', header: 'name', label: 'Product Name', required: true, aliases: ['product', 'item', 'description'], value: (bill, product) => product.name },
+    { key: 'category', header: 'category', label: 'Category', aliases: ['type'], value: (bill, product) => product.category },
+    { key: 'quantity', header: 'quantity', label: 'Quantity', aliases: ['qty', 'units'], value: (bill, product) => product.quantity },
+    { key: 'price', header: 'price', label: 'Price', required: true, aliases: ['rate', 'unit price', 'mrp'], value: (bill, product) => product.price / 100 },
+    { key: 'lineTotal', header: 'line_total', label: 'Line Total', aliases: ['total', 'amount'], value: (bill, product) => product.total / 100 },
+    { key: 'currency', header: 'currency', label: 'Currency', aliases: ['currency code', 'ccy'], value: (bill) => bill.currency || BASE_CURRENCY },
+    { key: 'vendor', header: 'vendor', label: 'Vendor', aliases: ['store', 'shop', 'merchant', 'seller'], value: (bill) => bill.vendorName || '' },
+    // Bill-level amounts repeat on each of the bill's rows
+    { key: 'billDiscount', header: 'bill_discount', label: 'Bill Discount', aliases: ['invoice discount'], value: (bill) => (bill.discount?.amount || 0) / 100 },
+    { key: 'roundOff', header: 'round_off', label: 'Round-off', aliases: ['round off', 'rounding'], value: (bill) => (bill.roundOff || 0) / 100 },
+    // Every tender with its amount, e.g. "Cash:500;UPI:742.5"
+    { key: 'paymentMethod', header: 'payment_method', label: 'Payment Method', aliases: ['payment', 'mode', 'paid by'], value: (bill) => (bill.payments || []).map(payment => `${payment.method}:${payment.amount / 100}`).join(';') }
+];
+
 class BillRecorder {
     constructor() {
         this.products = [];
         this.bills = [];
-        this.currentTheme = localStorage.getItem('theme') || 'light';
-        this.colorTheme = localStorage.getItem('colorTheme') || 'default';
-        this.fontFamily = localStorage.getItem('fontFamily') || 'default';
-        this.monthlyBudget = parseFloat(localStorage.getItem('monthlyBudget')) || 10000;
+        this.currentTheme = 'light';
+        this.colorTheme = 'default';
+        this.fontFamily = 'default';
+        this.monthlyBudget = 1000000; // paise
+        // Budgets by month ("YYYY-MM" -> { total, categories }); a month uses the latest entry on or before it
+        this.budgetHistory = {};
         this.isOnline = navigator.onLine;
         this.pendingSync = [];
         
+        // Sync state - pendingSync is the ordered change log waiting to be pushed
+        this.syncEndpoint = '';
+        this.syncClientId = '';
+        this.syncCursor = null;
+        this.lastSyncedAt = null;
+        this.isSyncing = false;
+        this.syncQueued = false;
+        this.syncAttempt = 0;
+        this.syncError = null;
+        this.syncRetryTimer = null;
+        
+        // IndexedDB storage layer (see storage.js)
+        this.storage = new BillStorage();
+        
+        // Categories with their colors and icons
+        this.categories = DEFAULT_CATEGORIES.map(category => ({ ...category }));
+        
+        // GST: per-category { rate, hsn } and the supply type of the bill being built
+        this.gstRates = {};
+        this.supplyType = 'intra';
+        
+        // Bill-level discount / coupon and round-off for the bill being built
+        this.billDiscount = { type: 'percent', value: 0, code: '' };
+        this.roundOff = false;
+        
+        // Currency of the bill being built and the dated exchange-rate table
+        this.billCurrency = BASE_CURRENCY;
+        this.exchangeRates = [];
+        
+        // Vendor / merchant directory
+        this.vendors = [];
+        this.editingVendorId = null;
+        
+        // Product catalog remembered from past bills
+        this.catalog = [];
+        this.editingCatalogId = null;
+        
+        // Spoken product entry; voiceSession is the recognizer of a continuous session
+        this.voiceLanguage = 'en-IN';
+        this.voiceTransliterate = false;
+        this.voiceParser = new VoiceEntryParser();
+        this.voiceSession = null;
+        
+        // Receipt OCR draft rows waiting to be added to the bill
+        this.receiptScanner = new ReceiptScanner();
+        this.receiptDrafts = [];
+        this.receiptTotal = null;
+        this.isScanningReceipt = false;
+        
+        // Barcode scanning; pendingBarcode is an unknown code waiting for its catalog entry
+        this.barcodeScanner = new BarcodeScanner();
+        this.barcodeStream = null;
+        this.barcodeScanTimer = null;
+        this.pendingBarcode = null;
+        
+        // Recurring bill templates (rent, utilities, subscriptions)
+        this.recurringBills = [];
+        this.editingRecurringId = null;
+        
+        // Bill history search and vendor filter, applied within the reporting period
+        this.billSearchParser = new BillSearchParser();
+        this.billQuery = '';
+        this.billVendorId = null;
+        
+        // Reporting period for bill history, dashboard and reports; custom dates are YYYY-MM-DD
+        this.period = 'all';
+        this.customPeriod = { from: '', to: '' };
+        
+        // Opt-in system notifications; sentNotifications maps each alert key to the day it was sent
+        this.notificationSettings = { enabled: false, quietStart: '22:00', quietEnd: '07:00', alerts: {} };
+        this.sentNotifications = {};
+        
+        // Unusual-spend findings shown on the dashboard, refreshed whenever it updates
+        this.unusualFindings = [];
+        
+        // Recycle bin and undo
+        this.trash = [];
+        this.trashRetentionDays = 30;
+        this.lastUndo = null;
+        
+        // Bill editing state
+        this.editingBillId = null;
+        this.editingProductId = null;
+        this.stashedProducts = [];
+        this.stashedBillOptions = null;
+        
         // Performance optimization: Cache DOM elements
         this.domCache = {};
         
@@ -44,9 +224,9 @@ class BillRecorder {
         }
     }
 
-    setupApp() {
-        // Performance: Load data in parallel
-        this.loadFromStorage();
+    async setupApp() {
+        // Load bills and settings from IndexedDB before the first render
+        await this.loadFromStorage();
         
         // Performance: Cache DOM elements
         this.cacheDOMElements();
@@ -76,6 +256,7 @@ class BillRecorder {
         requestAnimationFrame(() => {
             this.renderProducts();
             this.loadBills();
+            this.updateTrashButton();
             this.addAnimations();
         });
         
@@ -83,6 +264,15 @@ class BillRecorder {
         this.setupOfflineMode();
         this.setupBudgetAlerts();
         this.setupPaymentTracking();
+        this.setupVendorDirectory();
+        this.setupProductCatalog();
+        this.setupCategoryManager();
+        this.setupCurrencies();
+        this.setupReceiptScan();
+        this.setupBarcodeScan();
+        this.setupRecurringBills();
+        this.setupCategoryBudgets();
+        this.setupSystemNotifications();
         
         console.log('App initialized successfully'); // Debug log
     }
@@ -91,7 +281,7 @@ class BillRecorder {
     cacheDOMElements() {
         const elements = [
             'productsList', 'billsList', 'totalAmount', 'productForm', 
-            'productName', 'price', 'quantity', 'category', 'paymentMethod',
+            'productName', 'price', 'quantity', 'category', 'tendersList',
             'billSearch', 'billFilter', 'themeToggle', 'colorTheme', 'fontFamily',
             'pinToggle', 'totalBills', 'totalExpenses', 'avgBillAmount', 
             'thisMonthTotal', 'budgetProgress', 'currentSpent', 'monthlyBudget'
@@ -148,37 +338,6 @@ class BillRecorder {
         }
     }
 
-    // Performance: Optimized localStorage loading
-    loadFromStorage() {
-        try {
-            // Batch localStorage reads
-            const storedData = {
-                bills: localStorage.getItem('bills'),
-                theme: localStorage.getItem('theme'),
-                colorTheme: localStorage.getItem('colorTheme'),
-                fontFamily: localStorage.getItem('fontFamily'),
-                monthlyBudget: localStorage.getItem('monthlyBudget'),
-                pinEnabled: localStorage.getItem('pinEnabled'),
-                savedPin: localStorage.getItem('savedPin')
-            };
-
-            // Parse data in one batch
-            if (storedData.bills) {
-                this.bills = JSON.parse(storedData.bills);
-            }
-            
-            this.currentTheme = storedData.theme || 'light';
-            this.colorTheme = storedData.colorTheme || 'default';
-            this.fontFamily = storedData.fontFamily || 'default';
-            this.monthlyBudget = parseFloat(storedData.monthlyBudget) || 10000;
-            this.pinEnabled = storedData.pinEnabled === 'true';
-            this.savedPin = storedData.savedPin || '';
-        } catch (error) {
-            console.error('Error loading from storage:', error);
-            this.bills = [];
-        }
-    }
-
     setupAndroidOptimizations() {
         // Handle orientation changes
         window.addEventListener('orientationchange', () => {
@@ -461,9 +620,15 @@ class BillRecorder {
         
         const voiceInput = this.getElement('voiceInput');
         if (voiceInput) voiceInput.addEventListener('click', () => this.startVoiceInput(), { passive: true });
+        const voiceSession = this.getElement('voiceSession');
+        if (voiceSession) voiceSession.addEventListener('click', () => this.toggleVoiceSession(), { passive: true });
+        this.setupVoiceLanguage();
         
         const generateBill = this.getElement('generateBill');
         if (generateBill) generateBill.addEventListener('click', () => this.generateBill(), { passive: true });
+        
+        const cancelEditBill = this.getElement('cancelEditBill');
+        if (cancelEditBill) cancelEditBill.addEventListener('click', () => this.cancelBillEdit(), { passive: true });
 
         // Theme controls
         const themeToggle = this.getElement('themeToggle');
@@ -495,11 +660,56 @@ class BillRecorder {
             billSearch.addEventListener('input', (e) => debouncedSearch(e.target.value), { passive: true });
         }
         
-        const billFilter = this.getElement('billFilter');
-        if (billFilter) billFilter?.addEventListener('change', (e) => this.filterBills(e.target.value), { passive: true });
+        this.setupPeriodPickers();
+        document.getElementById('billVendorFilter')?.addEventListener('change', (e) => this.filterBillsByVendor(e.target.value));
         
         const exportBills = this.getElement('exportBills');
         if (exportBills) exportBills?.addEventListener('click', () => this.exportBills(), { passive: true });
+        
+        const importBills = this.getElement('importBills');
+        const importBillsFile = this.getElement('importBillsFile');
+        if (importBills && importBillsFile) {
+            importBills.addEventListener('click', () => importBillsFile.click(), { passive: true });
+            importBillsFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.handleImportFile(file);
+            });
+        }
+        
+        const exportCsv = this.getElement('exportCsv');
+        if (exportCsv) exportCsv.addEventListener('click', () => this.exportBillsCsv(), { passive: true });
+        
+        const importCsv = this.getElement('importCsv');
+        const importCsvFile = this.getElement('importCsvFile');
+        if (importCsv && importCsvFile) {
+            importCsv.addEventListener('click', () => importCsvFile.click(), { passive: true });
+            importCsvFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.handleCsvFile(file);
+            });
+        }
+        
+        document.getElementById('csvMappingConfirm')?.addEventListener('click', () => this.applyCsvMapping());
+        
+        const openTrash = this.getElement('openTrash');
+        if (openTrash) openTrash.addEventListener('click', () => this.openTrash(), { passive: true });
+        document.getElementById('emptyTrash')?.addEventListener('click', () => this.emptyTrash());
+        document.getElementById('saveTrashRetention')?.addEventListener('click', () => {
+            this.setTrashRetention(parseInt(document.getElementById('trashRetentionInput').value));
+        });
+        document.getElementById('importMerge')?.addEventListener('click', () => this.confirmImport('merge'));
+        document.getElementById('importReplace')?.addEventListener('click', () => this.confirmImport('replace'));
+
+        // App modals: close buttons and background clicks
+        document.querySelectorAll('.app-modal').forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('[data-close-modal]')) {
+                    this.hideModal(modal.id);
+                }
+            });
+        });
 
         // Floating Action Button
         const fabButton = this.getElement('fabButton');
@@ -522,6 +732,12 @@ class BillRecorder {
             this.generateBill();
         }
         
+        // Ctrl/Cmd + Z: Undo last delete (outside text fields)
+        if ((e.ctrlKey || e.metaKey) && e.key === 'z' && this.lastUndo && !e.target.closest('input, textarea')) {
+            e.preventDefault();
+            this.undoLastAction();
+        }
+        
         // Ctrl/Cmd + D: Toggle theme
         if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
             e.preventDefault();
@@ -566,40 +782,201 @@ class BillRecorder {
     }
 
     searchBills(query) {
-        const filtered = this.bills.filter(bill => 
-            bill.products.some(product => 
-                product.name.toLowerCase().includes(query.toLowerCase()) ||
-                product.category.toLowerCase().includes(query.toLowerCase())
-            )
+        this.billQuery = query;
+        this.applyBillFilters();
+    }
+
+    filterBillsByVendor(value) {
+        this.billVendorId = value === 'all' ? null : parseInt(value);
+        this.applyBillFilters();
+    }
+
+    // The search box and vendor narrow down the bills of the chosen period
+    getFilteredBills() {
+        const search = this.billSearchParser.parse(this.billQuery);
+        return this.getPeriodBills().filter(bill =>
+            (this.billVendorId === null || bill.vendorId === this.billVendorId) && this.matchesBillSearch(bill, search)
         );
-        this.renderBills(filtered);
     }
 
+    applyBillFilters() {
+        const bills = this.getFilteredBills();
+        this.renderBills(bills);
+        this.renderBillSearchSummary(bills);
+    }
+
+    // Reporting Period Feature
+    setupPeriodPickers() {
+        document.querySelectorAll('.period-picker').forEach(picker => {
+            const select = picker.querySelector('.period-select');
+            select.innerHTML = PERIODS.map(period => `<option value="${period.value}">${period.label}</option>`).join('');
+            select.addEventListener('change', (e) => this.filterBills(e.target.value));
+            picker.querySelectorAll('.period-from, .period-to').forEach(input => {
+                input.addEventListener('change', () => this.setCustomPeriod(
+                    picker.querySelector('.period-from').value,
+                    picker.querySelector('.period-to').value
+                ));
+            });
+        });
+        this.renderPeriodPickers();
+    }
+
+    // Every view follows the same period
     filterBills(period) {
-        const now = new Date();
-        let filtered = this.bills;
+        this.period = PERIODS.some(option => option.value === period) ? period : 'all';
+        this.storage.setSetting('period', this.period).catch(error => this.handleStorageError(error));
+        this.renderPeriodPickers();
+        this.applyBillFilters();
+        this.updateDashboard();
+        if (document.getElementById('monthly-reports')?.classList.contains('active')) this.updateCharts();
+    }
+
+    setCustomPeriod(from, to) {
+        if (from && to && from > to) {
+            this.showNotification('The start date must be on or before the end date', 'error');
+            this.renderPeriodPickers();
+            return;
+        }
+
+        this.customPeriod = { from, to };
+        this.storage.setSetting('customPeriod', this.customPeriod).catch(error => this.handleStorageError(error));
+        this.filterBills('custom');
+    }
+
+    renderPeriodPickers() {
+        const range = this.getPeriodRange();
+        document.querySelectorAll('.period-picker').forEach(picker => {
+            picker.querySelector('.period-select').value = this.period;
+            picker.querySelector('.period-custom').hidden = this.period !== 'custom';
+            picker.querySelector('.period-from').value = this.customPeriod.from;
+            picker.querySelector('.period-to').value = this.customPeriod.to;
+            picker.querySelector('.period-range').textContent = range ? range.label : '';
+        });
+    }
 
+    // First day of the April-March financial year containing the date
+    getFinancialYearStart(date) {
+        return new Date(date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1, 3, 1);
+    }
+
+    // { start, end, label } with end exclusive, or null when the period has no limits
+    getPeriodRange(period = this.period) {
+        const now = new Date();
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        const fyStart = this.getFinancialYearStart(today);
+        // Financial-year quarters start in April, July, October and January
+        const quarterStart = new Date(today.getFullYear(), today.getMonth() - today.getMonth() % 3, 1);
+        const months = (date, count) => new Date(date.getFullYear(), date.getMonth() + count, 1);
+
+        let start = null;
+        let end = null;
         switch(period) {
             case 'today':
-                filtered = this.bills.filter(bill => {
-                    const billDate = new Date(bill.date);
-                    return billDate.toDateString() === now.toDateString();
-                });
+                [start, end] = [today, tomorrow];
                 break;
             case 'week':
-                const weekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-                filtered = this.bills.filter(bill => new Date(bill.date) >= weekAgo);
+                [start, end] = [new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000), tomorrow];
                 break;
             case 'month':
-                filtered = this.bills.filter(bill => {
-                    const billDate = new Date(bill.date);
-                    return billDate.getMonth() === now.getMonth() && 
-                           billDate.getFullYear() === now.getFullYear();
-                });
+                [start, end] = [months(today, 0), months(today, 1)];
+                break;
+            case 'last-month':
+                [start, end] = [months(today, -1), months(today, 0)];
+                break;
+            case 'quarter':
+                [start, end] = [quarterStart, months(quarterStart, 3)];
+                break;
+            case 'last-quarter':
+                [start, end] = [months(quarterStart, -3), quarterStart];
+                break;
+            case 'fy':
+                [start, end] = [fyStart, months(fyStart, 12)];
+                break;
+            case 'last-fy':
+                [start, end] = [months(fyStart, -12), fyStart];
+                break;
+            case 'custom':
+                if (this.customPeriod.from) start = this.parseDateKey(this.customPeriod.from);
+                if (this.customPeriod.to) {
+                    end = this.parseDateKey(this.customPeriod.to);
+                    end.setDate(end.getDate() + 1);
+                }
                 break;
         }
+        if (!start && !end) return null;
 
-        this.renderBills(filtered);
+        return { start, end, label: this.formatPeriodLabel(period, start, end) };
+    }
+
+    formatPeriodLabel(period, start, end) {
+        const format = date => date.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+        const last = end && new Date(end.getFullYear(), end.getMonth(), end.getDate() - 1);
+        let label = `${start ? format(start) : 'Start'} – ${last ? format(last) : 'Today'}`;
+
+        if (period === 'fy' || period === 'last-fy') {
+            label += ` (FY ${start.getFullYear()}-${String(start.getFullYear() + 1).slice(-2)})`;
+        } else if (period === 'quarter' || period === 'last-quarter') {
+            const fyStart = this.getFinancialYearStart(start);
+            const quarter = Math.floor((start.getMonth() + 9) % 12 / 3) + 1;
+            label += ` (Q${quarter} FY ${fyStart.getFullYear()}-${String(fyStart.getFullYear() + 1).slice(-2)})`;
+        }
+        return label;
+    }
+
+    isInPeriod(bill, range = this.getPeriodRange()) {
+        if (!range) return true;
+        const date = new Date(bill.date);
+        return (!range.start || date >= range.start) && (!range.end || date < range.end);
+    }
+
+    getPeriodBills() {
+        const range = this.getPeriodRange();
+        return this.bills.filter(bill => this.isInPeriod(bill, range));
+    }
+
+    // Every part of the search has to match; text is compared loosely in English letters, so "chawal" also finds "चावल"
+    matchesBillSearch(bill, search) {
+        const total = this.toBaseAmount(bill);
+        const amountMatches = search.amounts.every(({ op, value }) => ({
+            '>': total > value,
+            '>=': total >= value,
+            '<': total < value,
+            '<=': total <= value
+        })[op]);
+        if (!amountMatches) return false;
+
+        const day = this.getDateKey(new Date(bill.date));
+        if ((search.from && day < search.from) || (search.to && day > search.to)) return false;
+
+        const methods = (bill.payments || []).map(payment => payment.method.toLowerCase());
+        if (!search.methods.every(method => methods.some(paid => paid.startsWith(method)))) return false;
+
+        const toText = text => this.voiceParser.toSearchText(text || '');
+        const vendor = toText(this.getBillVendorName(bill));
+        const categories = [...new Set(bill.products.map(product => toText(product.category)))];
+        const tags = (bill.tags || []).map(tag => toText(tag));
+        if (!search.vendors.every(name => vendor.includes(toText(name)))) return false;
+        if (!search.categories.every(name => categories.some(category => category.includes(toText(name))))) return false;
+        if (!search.tags.every(name => tags.includes(toText(name)))) return false;
+
+        const fields = [vendor, ...categories, ...tags, ...bill.products.map(product => toText(product.name))];
+        return search.text.every(text => fields.some(field => field.includes(toText(text))));
+    }
+
+    renderBillSearchSummary(bills) {
+        const summary = document.getElementById('billSearchSummary');
+        if (!summary) return;
+
+        const total = bills.reduce((sum, bill) => sum + this.toBaseAmount(bill), 0);
+        const invalid = this.billSearchParser.parse(this.billQuery).invalid;
+        const parts = [
+            bills.length === this.bills.length ? `${bills.length} bills` : `${bills.length} of ${this.bills.length} bills`,
+            `${this.formatMoney(total)} total`
+        ];
+        if (bills.length > 0) parts.push(`average ${this.formatMoney(Math.round(total / bills.length))}`);
+        if (invalid.length > 0) parts.push(`not understood: ${invalid.map(token => this.escapeHtml(token)).join(' ')}`);
+        summary.innerHTML = parts.join(' • ');
     }
 
     exportBills() {
@@ -616,11 +993,425 @@ class BillRecorder {
         this.showNotification('Bills exported successfully!', 'success');
     }
 
+    // Bill Import Feature
+    async handleImportFile(file) {
+        let records;
+        try {
+            records = JSON.parse(await file.text());
+        } catch (error) {
+            this.showNotification('Import failed: file is not valid JSON', 'error');
+            return;
+        }
+
+        if (!Array.isArray(records)) {
+            this.showNotification('Import failed: expected a list of bills', 'error');
+            return;
+        }
+
+        this.prepareImport(records, file.name);
+    }
+
+    // Validate records and show the import report so the user can merge or replace
+    prepareImport(records, fileName, invalid = []) {
+        const existingIds = new Set(this.bills.map(bill => bill.id));
+        const seenIds = new Set();
+        const report = { fileName, valid: [], invalid: [...invalid], duplicates: [] };
+
+        records.forEach((record, index) => {
+            const errors = this.validateBill(record);
+            if (errors.length > 0) {
+                report.invalid.push({ label: `Record ${index + 1}`, errors });
+                return;
+            }
+
+            // Repeated ids inside the file itself are always dropped
+            if (seenIds.has(record.id)) {
+                report.invalid.push({ label: `Record ${index + 1}`, errors: [`duplicate id ${record.id} in file`] });
+                return;
+            }
+            seenIds.add(record.id);
+
+            const bill = this.normalizeImportedBill(record);
+            report.valid.push(bill);
+            if (existingIds.has(bill.id)) {
+                report.duplicates.push(bill);
+            }
+        });
+
+        this.pendingImport = report;
+        this.renderImportReport();
+        this.showModal('importModal');
+    }
+
+    // Returns a list of problems with a bill record, empty when the shape is valid
+    validateBill(record) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return ['not a bill object'];
+        }
+
+        const errors = [];
+        if (!Number.isFinite(record.id)) errors.push('id must be a number');
+        if (typeof record.date !== 'string' || isNaN(new Date(record.date).getTime())) errors.push('date is missing or invalid');
+        if (!Number.isFinite(record.total)) errors.push('total must be a number');
+        if (record.minorUnits && Number.isFinite(record.total) && !Number.isInteger(record.total)) errors.push('total must be whole paise');
+
+        if (!Array.isArray(record.products) || record.products.length === 0) {
+            errors.push('products must be a non-empty list');
+        } else {
+            record.products.forEach((product, index) => {
+                if (!product || typeof product !== 'object') {
+                    errors.push(`product ${index + 1} is not an object`);
+                    return;
+                }
+                if (typeof product.name !== 'string' || !product.name.trim()) errors.push(`product ${index + 1} has no name`);
+                if (!Number.isFinite(product.price) || product.price < 0) errors.push(`product ${index + 1} has an invalid price`);
+                if (!Number.isFinite(product.quantity) || product.quantity <= 0) errors.push(`product ${index + 1} has an invalid quantity`);
+                if (!Number.isFinite(product.total)) errors.push(`product ${index + 1} has an invalid total`);
+            });
+        }
+
+        if (record.payments !== undefined) {
+            if (!Array.isArray(record.payments) || record.payments.some(payment => typeof payment?.method !== 'string' || !Number.isFinite(payment.amount))) {
+                errors.push('payments must be a list of { method, amount }');
+            } else if (Number.isFinite(record.total) && Math.abs(record.payments.reduce((sum, payment) => sum + payment.amount, 0) - record.total) >= (record.minorUnits ? 0.5 : 0.005)) {
+                errors.push('payments do not add up to the total');
+            }
+        }
+
+        if (record.tags !== undefined && record.tags !== null && (!Array.isArray(record.tags) || record.tags.some(tag => typeof tag !== 'string'))) {
+            errors.push('tags must be a list of strings');
+        }
+
+        return errors;
+    }
+
+    normalizeImportedBill(record) {
+        // Exports from before amounts were kept in paise hold float rupees
+        const bill = this.convertBillToPaise({
+            ...record,
+            products: record.products.map((product, index) => ({
+                ...product,
+                id: Number.isFinite(product.id) ? product.id : record.id + index + 1,
+                name: product.name.trim(),
+                category: product.category || 'General'
+            }))
+        });
+        this.ensureBillPayments(bill);
+        if (!record.minorUnits) this.verifyBillTotals(bill);
+
+        // Vendor ids are local to each device, so link imported bills by vendor name
+        const vendor = bill.vendorName ? this.findVendorByName(bill.vendorName) : null;
+        bill.vendorId = vendor ? vendor.id : null;
+        bill.vendorName = vendor ? vendor.name : (bill.vendorName || '');
+        return bill;
+    }
+
+    renderImportReport() {
+        const report = this.pendingImport;
+        const container = document.getElementById('importReport');
+        if (!container || !report) return;
+
+        const newCount = report.valid.length - report.duplicates.length;
+        container.innerHTML = `
+            <p><strong>${this.escapeHtml(report.fileName)}</strong></p>
+            <ul class="import-summary">
+                <li>✅ ${report.valid.length} valid bills (${newCount} new, ${report.duplicates.length} already recorded)</li>
+                <li>${report.invalid.length > 0 ? '⚠️' : '✅'} ${report.invalid.length} malformed records</li>
+            </ul>
+            ${report.invalid.length > 0 ? `
+                <div class="import-errors">
+                    ${report.invalid.map(item => `
+                        <div class="import-error">
+                            <strong>${item.label}:</strong> ${this.escapeHtml(item.errors.join(', '))}
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            <p class="import-hint">Merge adds only new bills and skips duplicates by id. Replace deletes all current bills first.</p>
+        `;
+
+        const hasBills = report.valid.length > 0;
+        document.getElementById('importMerge').disabled = !hasBills;
+        document.getElementById('importReplace').disabled = !hasBills;
+    }
+
+    async confirmImport(mode) {
+        const report = this.pendingImport;
+        if (!report || report.valid.length === 0) return;
+
+        let message;
+        try {
+            if (mode === 'replace') {
+                if (!confirm(`Replace all ${this.bills.length} current bills with ${report.valid.length} imported bills?`)) return;
+                await this.storage.replaceAll('bills', report.valid);
+                this.bills.forEach(bill => this.appendSyncChange('delete', bill));
+                report.valid.forEach(bill => this.appendSyncChange('create', bill));
+                this.bills = report.valid;
+                this.recordCatalogBills(report.valid);
+                this.addMissingCategories(report.valid);
+                message = `Replaced bills with ${report.valid.length} imported bills`;
+            } else {
+                const existingIds = new Set(this.bills.map(bill => bill.id));
+                const newBills = report.valid.filter(bill => !existingIds.has(bill.id));
+                await this.storage.putAll('bills', newBills);
+                newBills.forEach(bill => this.appendSyncChange('create', bill));
+                this.bills = this.bills.concat(newBills);
+                this.recordCatalogBills(newBills);
+                this.addMissingCategories(newBills);
+                message = `Imported ${newBills.length} bills, skipped ${report.valid.length - newBills.length} duplicates`;
+            }
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.bills.sort((a, b) => new Date(a.date) - new Date(b.date));
+        this.savePendingSync();
+        this.syncPendingData();
+        this.pendingImport = null;
+        this.hideModal('importModal');
+
+        this.loadBills();
+        this.updateDashboard();
+        this.showNotification(message, 'success');
+    }
+
+    // CSV Export/Import Feature (one row per product)
+    exportBillsCsv() {
+        const rows = [CSV_COLUMNS.map(column => column.header)];
+        this.bills.forEach(bill => {
+            // Export the vendor's current directory name
+            const exportBill = { ...bill, vendorName: this.getBillVendorName(bill) };
+            bill.products.forEach(product => {
+                rows.push(CSV_COLUMNS.map(column => column.value(exportBill, product)));
+            });
+        });
+
+        const csv = rows.map(row => row.map(value => this.escapeCsvValue(value)).join(',')).join('\r\n');
+        const dataUri = 'data:text/csv;charset=utf-8,' + encodeURIComponent(csv);
+
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', dataUri);
+        linkElement.setAttribute('download', `bills_export_${new Date().toISOString().split('T')[0]}.csv`);
+        linkElement.click();
+
+        this.showNotification('Bills exported as CSV!', 'success');
+    }
+
+    escapeCsvValue(value) {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // RFC 4180 style parser: quoted fields, escaped quotes and newlines inside quotes
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    }
+
+    async handleCsvFile(file) {
+        const rows = this.parseCsv((await file.text()).replace(/^\uFEFF/, ''));
+        if (rows.length < 2) {
+            this.showNotification('Import failed: CSV has no data rows', 'error');
+            return;
+        }
+
+        this.pendingCsv = { fileName: file.name, headers: rows[0].map(header => header.trim()), rows: rows.slice(1) };
+        this.renderCsvMapping();
+        this.showModal('csvMappingModal');
+    }
+
+    // Guess the CSV column for each field from its header name
+    guessCsvColumn(field, headers) {
+        const normalize = text => text.toLowerCase().replace(/[^a-z]/g, '');
+        const candidates = [field.key, field.header, ...field.aliases].map(normalize);
+        return headers.findIndex(header => candidates.includes(normalize(header)));
+    }
+
+    renderCsvMapping() {
+        const container = document.getElementById('csvMapping');
+        if (!container || !this.pendingCsv) return;
+
+        const { fileName, headers, rows } = this.pendingCsv;
+        container.innerHTML = `
+            <p><strong>${this.escapeHtml(fileName)}</strong> • ${rows.length} rows</p>
+            <p class="import-hint">Choose which spreadsheet column holds each field. Rows with the same bill id (or the same date when no id column is chosen) become one bill.</p>
+            <div class="csv-mapping-grid">
+                ${CSV_COLUMNS.map(field => {
+                    const guess = this.guessCsvColumn(field, headers);
+                    return `
+                        <label for="csvMap_${field.key}">${field.label}${field.required ? ' *' : ''}</label>
+                        <select id="csvMap_${field.key}" class="filter-dropdown">
+                            <option value="-1">— Not in file —</option>
+                            ${headers.map((header, index) => `
+                                <option value="${index}" ${index === guess ? 'selected' : ''}>${this.escapeHtml(header || `Column ${index + 1}`)}</option>
+                            `).join('')}
+                        </select>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    applyCsvMapping() {
+        if (!this.pendingCsv) return;
+
+        const mapping = {};
+        CSV_COLUMNS.forEach(field => {
+            mapping[field.key] = parseInt(document.getElementById(`csvMap_${field.key}`).value);
+        });
+
+        const missing = CSV_COLUMNS.filter(field => field.required && mapping[field.key] < 0);
+        if (missing.length > 0) {
+            this.showNotification(`Please choose a column for ${missing.map(field => field.label).join(', ')}`, 'error');
+            return;
+        }
+
+        const cell = (row, key) => (mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '');
+        const parseAmount = value => parseFloat(value.replace(/[₹,\s]/g, ''));
+
+        const billsByKey = new Map();
+        const invalid = [];
+        const baseId = Date.now();
+
+        this.pendingCsv.rows.forEach((row, index) => {
+            const date = this.parseImportDate(cell(row, 'date'));
+            const payments = this.parseCsvPayments(cell(row, 'paymentMethod'));
+            const name = cell(row, 'name');
+            const price = parseAmount(cell(row, 'price'));
+            const quantity = mapping.quantity >= 0 ? parseAmount(cell(row, 'quantity')) : 1;
+
+            if (!date || !name || !Number.isFinite(price) || !Number.isFinite(quantity) || quantity <= 0) {
+                // Spreadsheet row numbers are 1-based and the header is row 1
+                invalid.push({ label: `Row ${index + 2}`, errors: ['needs a date, name, price and quantity'] });
+                return;
+            }
+
+            const currency = (cell(row, 'currency') || BASE_CURRENCY).toUpperCase();
+            const exchangeRate = this.findExchangeRate(currency, date);
+            if (!exchangeRate) {
+                invalid.push({ label: `Row ${index + 2}`, errors: [`no ${currency} exchange rate on or before this date`] });
+                return;
+            }
+
+            const lineTotal = parseAmount(cell(row, 'lineTotal'));
+            const product = {
+                id: baseId + index,
+                name: name,
+                price: this.toPaise(price),
+                quantity: quantity,
+                category: cell(row, 'category') || 'General',
+                total: Number.isFinite(lineTotal) ? this.toPaise(lineTotal) : Math.round(this.toPaise(price) * quantity)
+            };
+            // Spreadsheets from other tools name one method per row; those become tenders per method
+            if (!payments) product.paymentMethod = cell(row, 'paymentMethod') || 'Other';
+
+            const billId = parseInt(cell(row, 'billId'));
+            const key = Number.isFinite(billId) ? billId : date;
+            if (!billsByKey.has(key)) {
+                billsByKey.set(key, {
+                    id: Number.isFinite(billId) ? billId : baseId + this.pendingCsv.rows.length + billsByKey.size,
+                    date: date,
+                    currency: currency,
+                    exchangeRate: currency === BASE_CURRENCY ? null : exchangeRate,
+                    vendorName: cell(row, 'vendor'),
+                    products: [],
+                    ...(payments ? { payments } : {}),
+                    billDiscount: this.toPaise(parseAmount(cell(row, 'billDiscount')) || 0),
+                    roundOff: this.toPaise(parseAmount(cell(row, 'roundOff')) || 0),
+                    minorUnits: true
+                });
+            }
+            billsByKey.get(key).products.push(product);
+        });
+
+        // The total is what was paid: the lines less the bill discount, plus the round-off
+        const bills = [...billsByKey.values()].map(({ billDiscount, roundOff, ...bill }) => {
+            const lines = bill.products.reduce((sum, product) => sum + product.total, 0);
+            return {
+                ...bill,
+                ...(billDiscount > 0 && { discount: { type: 'flat', value: billDiscount, amount: billDiscount } }),
+                ...((billDiscount > 0 || roundOff) && { gross: lines, roundOff }),
+                total: lines - Math.max(billDiscount, 0) + roundOff
+            };
+        });
+
+        const fileName = this.pendingCsv.fileName;
+        this.pendingCsv = null;
+        this.hideModal('csvMappingModal');
+        this.prepareImport(bills, fileName, invalid);
+    }
+
+    // Tenders written by CSV export ("Cash:500;UPI:742.5"), or null for a plain method name
+    parseCsvPayments(value) {
+        const parts = value.split(';').map(part => part.trim()).filter(Boolean);
+        const payments = parts.map(part => {
+            const match = part.match(/^(.*\S)\s*:\s*(\d[\d,]*(?:\.\d+)?)$/);
+            return match ? { method: match[1], amount: this.toPaise(parseFloat(match[2].replace(/,/g, ''))) } : null;
+        });
+        return payments.length > 0 && payments.every(Boolean) ? payments : null;
+    }
+
+    // Accepts ISO dates and the DD/MM/YYYY format used by Indian spreadsheets
+    parseImportDate(value) {
+        if (!value) return null;
+
+        const dayFirst = value.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2,4})(?:[ T](\d{1,2}):(\d{2}))?/);
+        let date;
+        if (dayFirst) {
+            const [, day, month, year, hours = 0, minutes = 0] = dayFirst;
+            const fullYear = year.length === 2 ? 2000 + parseInt(year) : parseInt(year);
+            date = new Date(fullYear, parseInt(month) - 1, parseInt(day), parseInt(hours), parseInt(minutes));
+        } else {
+            date = new Date(value);
+        }
+
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
     updateDashboard() {
-        // Instant dashboard update - optimized calculations
-        const totalBills = this.bills.length;
-        const totalExpenses = this.bills.reduce((sum, bill) => sum + bill.total, 0);
-        const avgBillAmount = totalBills > 0 ? totalExpenses / totalBills : 0;
+        // Instant dashboard update - totals follow the reporting period, the budget the current month
+        const periodBills = this.getPeriodBills();
+        const totalBills = periodBills.length;
+        const totalExpenses = periodBills.reduce((sum, bill) => sum + this.toBaseAmount(bill), 0);
+        const avgBillAmount = totalBills > 0 ? Math.round(totalExpenses / totalBills) : 0;
         
         const now = new Date();
         const currentMonth = now.getMonth();
@@ -629,7 +1420,7 @@ class BillRecorder {
             const billDate = new Date(bill.date);
             return billDate.getMonth() === currentMonth && billDate.getFullYear() === currentYear;
         });
-        const thisMonthTotal = thisMonthBills.reduce((sum, bill) => sum + bill.total, 0);
+        const thisMonthTotal = thisMonthBills.reduce((sum, bill) => sum + this.toBaseAmount(bill), 0);
 
         // Instant DOM updates - no batching
         const elements = {
@@ -643,17 +1434,27 @@ class BillRecorder {
         };
 
         if (elements.totalBills) elements.totalBills.textContent = totalBills;
-        if (elements.totalExpenses) elements.totalExpenses.textContent = totalExpenses.toFixed(2);
-        if (elements.avgBillAmount) elements.avgBillAmount.textContent = avgBillAmount.toFixed(2);
-        if (elements.thisMonthTotal) elements.thisMonthTotal.textContent = thisMonthTotal.toFixed(2);
+        if (elements.totalExpenses) elements.totalExpenses.textContent = this.formatAmount(totalExpenses);
+        if (elements.avgBillAmount) elements.avgBillAmount.textContent = this.formatAmount(avgBillAmount);
+        if (elements.thisMonthTotal) elements.thisMonthTotal.textContent = this.formatAmount(thisMonthTotal);
 
         // Instant budget progress update
         const budgetProgress = Math.min((thisMonthTotal / this.monthlyBudget) * 100, 100);
         if (elements.budgetProgress) {
             elements.budgetProgress.style.width = `${budgetProgress}%`;
         }
-        if (elements.currentSpent) elements.currentSpent.textContent = thisMonthTotal.toFixed(2);
-        if (elements.monthlyBudget) elements.monthlyBudget.textContent = this.monthlyBudget.toFixed(2);
+        if (elements.currentSpent) elements.currentSpent.textContent = this.formatAmount(thisMonthTotal);
+        if (elements.monthlyBudget) elements.monthlyBudget.textContent = this.formatAmount(this.monthlyBudget);
+
+        this.updatePaymentStats();
+        this.updateUnusualSpending();
+        this.renderUnusualSpending();
+        this.renderUpcomingBills();
+        this.renderBudgetForecast();
+        this.renderCategoryBudgets();
+        this.renderBudgetHistory();
+        this.updateBudgetAlerts();
+        this.checkSystemNotifications();
     }
 
     updateCharts() {
@@ -679,9 +1480,8 @@ class BillRecorder {
         const priceEl = this.getElement('price');
         const quantityEl = this.getElement('quantity');
         const categoryEl = this.getElement('category');
-        const paymentMethodEl = this.getElement('paymentMethod');
         
-        if (!productNameEl || !priceEl || !quantityEl || !categoryEl || !paymentMethodEl) {
+        if (!productNameEl || !priceEl || !quantityEl || !categoryEl) {
             this.showNotification('Form elements not found', 'error');
             return;
         }
@@ -690,7 +1490,6 @@ class BillRecorder {
         const price = parseFloat(priceEl.value);
         const quantity = parseInt(quantityEl.value);
         const category = categoryEl.value;
-        const paymentMethod = paymentMethodEl.value;
 
         if (!productName || !price || !quantity) {
             this.showNotification('Please fill all fields correctly', 'error');
@@ -703,11 +1502,11 @@ class BillRecorder {
             price: price,
             quantity: quantity,
             category: category,
-            paymentMethod: paymentMethod,
             total: price * quantity
         };
 
         this.products.push(product);
+        this.storage.put('products', product).catch(error => this.handleStorageError(error));
         
         // Performance: Batch UI updates with requestAnimationFrame
         requestAnimationFrame(() => {
@@ -725,6 +1524,10 @@ class BillRecorder {
         return div.innerHTML;
     }
 
+    formatQuantity(product) {
+        return product.unit ? `${product.quantity} ${product.unit}` : `${product.quantity}`;
+    }
+
     renderProducts() {
         const container = this.getElement('productsList');
         if (!container) return;
@@ -742,16 +1545,21 @@ class BillRecorder {
         // Performance: Pre-escape HTML and batch generate
         const productsHTML = this.products.map(product => {
             const escapedName = this.escapeHtml(product.name);
-            const escapedCategory = this.escapeHtml(product.category);
+            const escapedCategory = this.formatCategory(product.category);
             return `
                 <div class="product-item">
                     <div class="product-info">
                         <div class="product-name">${escapedName}</div>
                         <div class="product-details">
-                            ${product.quantity} × ₹${product.price.toFixed(2)} • ${escapedCategory}
+                            ${this.formatQuantity(product)} × ${this.formatMoney(product.price, this.billCurrency)} • ${escapedCategory}
+                            ${product.taxRate ? ` • GST ${product.taxRate}% ${product.taxInclusive ? 'incl.' : 'extra'}` : ''}
+                            ${product.discount ? ` • ${this.formatDiscount(product.discount, this.billCurrency)}` : ''}
                         </div>
                     </div>
-                    <div class="product-price">₹${product.total.toFixed(2)}</div>
+                    <div class="product-price">${this.formatMoney(product.total, this.billCurrency)}</div>
+                    <button class="edit-product" onclick="window.billRecorder.editProduct(${product.id})">
+                        ✏️ Edit
+                    </button>
                     <button class="remove-product" onclick="window.billRecorder.removeProduct(${product.id})">
                         🗑️ Remove
                     </button>
@@ -807,8 +1615,8 @@ class BillRecorder {
     }
 
     loadBills() {
-        // Instant bill loading - no delays
-        this.renderBills();
+        // Instant bill loading - no delays; the search and period filter stay applied
+        this.applyBillFilters();
     }
 
     renderBills(bills = this.bills) {
@@ -828,7 +1636,7 @@ class BillRecorder {
         // Performance: Pre-calculate values and batch generate
         const billsHTML = bills.slice().reverse().map(bill => {
             const date = new Date(bill.date);
-            const categories = [...new Set(bill.products.map(p => p.category))].join(', ');
+            const categories = [...new Set(bill.products.map(p => p.category))].map(category => this.formatCategory(category)).join(', ');
             
             return `
                 <div class="bill-item">
@@ -840,14 +1648,22 @@ class BillRecorder {
                             day: 'numeric'
                         })}</div>
                         <div class="bill-details">
-                            ${bill.products.length} items • Categories: ${categories}
+                            ${this.getBillVendorName(bill) ? `🏪 ${this.escapeHtml(this.getBillVendorName(bill))} • ` : ''}${bill.products.length} items • Categories: ${categories}
+                            ${bill.tags?.length ? ` • ${bill.tags.map(tag => `#${this.escapeHtml(tag)}`).join(' ')}` : ''}
+                            ${bill.revisions?.length ? ` • Edited ${bill.revisions.length}×` : ''}
                         </div>
                     </div>
-                    <div class="bill-amount">₹${bill.total.toFixed(2)}</div>
+                    <div class="bill-amount">
+                        ${this.formatMoney(bill.total, bill.currency)}
+                        ${bill.exchangeRate ? `<div class="bill-base-amount">≈ ${this.formatMoney(this.toBaseAmount(bill))}</div>` : ''}
+                    </div>
                     <div class="bill-actions">
                         <button class="btn btn-primary btn-small" onclick="window.billRecorder.viewBill(${bill.id})">
                             👁️ View
                         </button>
+                        <button class="btn btn-secondary btn-small" onclick="window.billRecorder.editBill(${bill.id})">
+                            ✏️ Edit
+                        </button>
                         <button class="btn btn-secondary btn-small" onclick="window.billRecorder.printBill(${bill.id})">
                             🖨️ Print
                         </button>
@@ -867,13 +1683,25 @@ class BillRecorder {
         container.appendChild(fragment);
     }
 
-    showNotification(message, type = 'info') {
+    showNotification(message, type = 'info', action = null) {
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.textContent = message;
         document.body.appendChild(notification);
 
-        // Instant removal - no delays
+        // Optional action button, e.g. { label: 'Undo', handler }
+        if (action) {
+            const actionButton = document.createElement('button');
+            actionButton.className = 'notification-action';
+            actionButton.textContent = action.label;
+            actionButton.addEventListener('click', () => {
+                action.handler();
+                notification.remove();
+            });
+            notification.appendChild(actionButton);
+        }
+
+        // Instant removal - no delays; toasts with an action stay long enough to use it
         setTimeout(() => {
             notification.style.animation = 'slideOutRightInstant 0.1s ease';
             setTimeout(() => {
@@ -881,7 +1709,15 @@ class BillRecorder {
                     document.body.removeChild(notification);
                 }
             }, 100); // Reduced from 300ms to 100ms
-        }, 2000); // Reduced from 3000ms to 2000ms
+        }, action ? 6000 : 2000); // Reduced from 3000ms to 2000ms
+    }
+
+    showModal(modalId) {
+        document.getElementById(modalId)?.classList.add('show');
+    }
+
+    hideModal(modalId) {
+        document.getElementById(modalId)?.classList.remove('show');
     }
 
     switchChart(chartType) {
@@ -902,6 +1738,9 @@ class BillRecorder {
 }
 
     updateSpecificChart(chartType) {
+        if (!this.barChart) {
+            this.initCharts();
+        }
         if (this.bills.length === 0) {
             return;
         }
@@ -922,14 +1761,17 @@ class BillRecorder {
             case 'radar':
                 this.updateRadarChart();
                 break;
+            case 'vendor':
+                this.updateVendorChart();
+                break;
         }
     }
 
     updateBarChart() {
         const monthlyData = {};
-        this.bills.forEach(bill => {
+        this.getPeriodBills().forEach(bill => {
             const month = new Date(bill.date).toLocaleDateString('en-IN', { month: 'short', year: 'numeric' });
-            monthlyData[month] = (monthlyData[month] || 0) + bill.total;
+            monthlyData[month] = (monthlyData[month] || 0) + this.toBaseAmount(bill);
         });
 
         const sortedMonths = Object.keys(monthlyData).sort((a, b) => {
@@ -939,16 +1781,16 @@ class BillRecorder {
         });
 
         this.barChart.data.labels = sortedMonths;
-        this.barChart.data.datasets[0].data = sortedMonths.map(month => monthlyData[month]);
+        this.barChart.data.datasets[0].data = sortedMonths.map(month => this.fromPaise(monthlyData[month]));
         this.barChart.data.datasets[0].backgroundColor = '#10b981';
         this.barChart.update();
     }
 
     updateLineChart() {
         const dailyData = {};
-        this.bills.forEach(bill => {
+        this.getPeriodBills().forEach(bill => {
             const day = new Date(bill.date).toLocaleDateString('en-IN');
-            dailyData[day] = (dailyData[day] || 0) + bill.total;
+            dailyData[day] = (dailyData[day] || 0) + this.toBaseAmount(bill);
         });
 
         const sortedDays = Object.keys(dailyData).sort();
@@ -956,7 +1798,7 @@ class BillRecorder {
         let cumulative = 0;
         sortedDays.forEach(day => {
             cumulative += dailyData[day];
-            cumulativeData.push(cumulative);
+            cumulativeData.push(this.fromPaise(cumulative));
         });
 
         this.lineChart.data.labels = sortedDays;
@@ -968,33 +1810,29 @@ class BillRecorder {
 
     updatePieChart() {
         const categoryData = {};
-        this.bills.forEach(bill => {
+        this.getPeriodBills().forEach(bill => {
             bill.products.forEach(product => {
-                categoryData[product.category] = (categoryData[product.category] || 0) + product.total;
+                categoryData[product.category] = (categoryData[product.category] || 0) + this.toBaseAmount(bill, product.total);
             });
         });
 
         this.pieChart.data.labels = Object.keys(categoryData);
-        this.pieChart.data.datasets[0].data = Object.values(categoryData);
-        this.pieChart.data.datasets[0].backgroundColor = [
-            '#10b981', '#06b6d4', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#6b7280'
-        ];
+        this.pieChart.data.datasets[0].data = Object.values(categoryData).map(amount => this.fromPaise(amount));
+        this.pieChart.data.datasets[0].backgroundColor = Object.keys(categoryData).map(category => this.getCategoryColor(category));
         this.pieChart.update();
     }
 
     updateDoughnutChart() {
         const categoryData = {};
-        this.bills.forEach(bill => {
+        this.getPeriodBills().forEach(bill => {
             bill.products.forEach(product => {
-                categoryData[product.category] = (categoryData[product.category] || 0) + product.total;
+                categoryData[product.category] = (categoryData[product.category] || 0) + this.toBaseAmount(bill, product.total);
             });
         });
 
         this.doughnutChart.data.labels = Object.keys(categoryData);
-        this.doughnutChart.data.datasets[0].data = Object.values(categoryData);
-        this.doughnutChart.data.datasets[0].backgroundColor = [
-            '#10b981', '#06b6d4', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#6b7280'
-        ];
+        this.doughnutChart.data.datasets[0].data = Object.values(categoryData).map(amount => this.fromPaise(amount));
+        this.doughnutChart.data.datasets[0].backgroundColor = Object.keys(categoryData).map(category => this.getCategoryColor(category));
         this.doughnutChart.data.datasets[0].borderWidth = 2;
         this.doughnutChart.data.datasets[0].borderColor = '#fff';
         this.doughnutChart.update();
@@ -1004,9 +1842,9 @@ class BillRecorder {
         const categoryData = {};
         const categoryCount = {};
         
-        this.bills.forEach(bill => {
+        this.getPeriodBills().forEach(bill => {
             bill.products.forEach(product => {
-                categoryData[product.category] = (categoryData[product.category] || 0) + product.total;
+                categoryData[product.category] = (categoryData[product.category] || 0) + this.toBaseAmount(bill, product.total);
                 categoryCount[product.category] = (categoryCount[product.category] || 0) + 1;
             });
         });
@@ -1014,7 +1852,7 @@ class BillRecorder {
         // Calculate average per category for radar chart
         const radarData = {};
         Object.keys(categoryData).forEach(category => {
-            radarData[category] = categoryData[category] / categoryCount[category];
+            radarData[category] = this.fromPaise(categoryData[category] / categoryCount[category]);
         });
 
         this.radarChart.data.labels = Object.keys(radarData);
@@ -1028,6 +1866,22 @@ class BillRecorder {
         this.radarChart.update();
     }
 
+    updateVendorChart() {
+        const vendorData = {};
+        this.getPeriodBills().forEach(bill => {
+            const vendor = this.getBillVendorName(bill) || 'No vendor';
+            vendorData[vendor] = (vendorData[vendor] || 0) + this.toBaseAmount(bill);
+        });
+
+        // Biggest vendors first
+        const vendors = Object.keys(vendorData).sort((a, b) => vendorData[b] - vendorData[a]);
+
+        this.vendorChart.data.labels = vendors;
+        this.vendorChart.data.datasets[0].data = vendors.map(vendor => this.fromPaise(vendorData[vendor]));
+        this.vendorChart.data.datasets[0].backgroundColor = '#f59e0b';
+        this.vendorChart.update();
+    }
+
     switchTab(tabName) {
         // Update tab buttons
         document.querySelectorAll('.nav-tab').forEach(tab => {
@@ -1053,6 +1907,7 @@ class BillRecorder {
 
     removeProduct(productId) {
         this.products = this.products.filter(p => p.id !== productId);
+        this.storage.delete('products', productId).catch(error => this.handleStorageError(error));
         this.renderProducts();
         this.updateTotal();
     }
@@ -1081,7 +1936,8 @@ class BillRecorder {
         };
 
         this.bills.push(bill);
-        localStorage.setItem('bills', JSON.stringify(this.bills));
+        this.storage.putBill(bill).catch(error => this.handleStorageError(error));
+        this.storage.clear('products').catch(error => this.handleStorageError(error));
         
         this.products = [];
         this.renderProducts();
@@ -1194,7 +2050,7 @@ class BillRecorder {
     deleteBill(billId) {
         if (confirm('Are you sure you want to delete this bill?')) {
             this.bills = this.bills.filter(b => b.id !== billId);
-            localStorage.setItem('bills', JSON.stringify(this.bills));
+            this.storage.deleteBill(billId).catch(error => this.handleStorageError(error));
             this.loadBills();
             this.updateDashboard();
             this.showNotification('Bill deleted successfully', 'success');
@@ -1232,11 +2088,19 @@ class BillRecorder {
             data: { labels: [], datasets: [{ label: 'Category Analysis', data: [] }] },
             options: { responsive: true, maintainAspectRatio: false }
         });
+
+        this.vendorChart = new Chart(document.getElementById('vendorChart'), {
+            type: 'bar',
+            data: { labels: [], datasets: [{ label: 'Spend by Vendor', data: [] }] },
+            options: { responsive: true, maintainAspectRatio: false, indexAxis: 'y' }
+        });
     }
 
     updateCharts() {
-        if (this.bills.length === 0) {
+        if (!this.barChart) {
             this.initCharts();
+        }
+        if (this.bills.length === 0) {
             return;
         }
 
@@ -1247,40 +2111,10 @@ class BillRecorder {
         }
     }
 
-    startVoiceInput() {
-        if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
-            this.showNotification('Voice input is not supported in your browser', 'error');
-            return;
-        }
-
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        const recognition = new SpeechRecognition();
-        
-        recognition.continuous = false;
-        recognition.interimResults = false;
-        recognition.lang = 'en-IN';
-
-        recognition.onstart = () => {
-            this.showNotification('Listening... Speak the product name', 'info');
-        };
-
-        recognition.onresult = (event) => {
-            const transcript = event.results[0][0].transcript;
-            document.getElementById('productName').value = transcript;
-            this.showNotification(`Product name: "${transcript}"`, 'success');
-        };
-
-        recognition.onerror = (event) => {
-            this.showNotification('Voice input error: ' + event.error, 'error');
-        };
-
-        recognition.start();
-    }
-
     toggleTheme() {
         this.currentTheme = this.currentTheme === 'light' ? 'dark' : 'light';
         this.applyTheme();
-        localStorage.setItem('theme', this.currentTheme);
+        this.storage.setSetting('theme', this.currentTheme).catch(error => this.handleStorageError(error));
     }
 
     applyTheme() {
@@ -1305,7 +2139,7 @@ class BillRecorder {
 
     changeColorTheme(theme) {
         this.colorTheme = theme;
-        localStorage.setItem('colorTheme', theme);
+        this.storage.setSetting('colorTheme', theme).catch(error => this.handleStorageError(error));
         document.documentElement.setAttribute('data-theme-color', theme);
         this.showNotification(`Color theme changed to ${theme}`, 'success');
         console.log('Color theme changed to:', theme);
@@ -1313,7 +2147,7 @@ class BillRecorder {
 
     changeFontFamily(font) {
         this.fontFamily = font;
-        localStorage.setItem('fontFamily', font);
+        this.storage.setSetting('fontFamily', font).catch(error => this.handleStorageError(error));
         document.documentElement.setAttribute('data-font', font);
         this.showNotification(`Font changed to ${font}`, 'success');
         console.log('Font family changed to:', font);
@@ -1328,7 +2162,7 @@ class BillRecorder {
 
     setBudget() {
         const budgetInput = document.getElementById('budgetInput');
-        const budget = parseFloat(budgetInput.value);
+        const budget = this.toPaise(parseFloat(budgetInput.value));
         
         if (!budget || budget <= 0) {
             this.showNotification('Please enter a valid budget amount', 'error');
@@ -1336,14 +2170,14 @@ class BillRecorder {
         }
 
         this.monthlyBudget = budget;
-        localStorage.setItem('monthlyBudget', budget);
+        this.storage.setSetting('monthlyBudget', budget).catch(error => this.handleStorageError(error));
         
-        document.getElementById('monthlyBudget').textContent = budget.toFixed(2);
+        document.getElementById('monthlyBudget').textContent = this.formatAmount(budget);
         budgetInput.value = '';
         
         this.updateDashboard();
         this.updateBudgetAlerts();
-        this.showNotification(`Monthly budget set to ₹${budget.toFixed(2)}`, 'success');
+        this.showNotification(`Monthly budget set to ${this.formatMoney(budget)}`, 'success');
     }
 
     updateBudgetAlerts() {
@@ -1357,7 +2191,7 @@ class BillRecorder {
             return billDate.getMonth() === currentMonth && billDate.getFullYear() === currentYear;
         });
         
-        const thisMonthTotal = thisMonthBills.reduce((sum, bill) => sum + bill.total, 0);
+        const thisMonthTotal = thisMonthBills.reduce((sum, bill) => sum + this.toBaseAmount(bill), 0);
         const percentageUsed = (thisMonthTotal / this.monthlyBudget) * 100;
         
         let alerts = [];
@@ -1366,33 +2200,58 @@ class BillRecorder {
             alerts.push({
                 type: 'critical',
                 icon: '🚨',
-                text: `Budget exceeded! You've spent ₹${thisMonthTotal.toFixed(2)} (₹${(thisMonthTotal - this.monthlyBudget).toFixed(2)} over budget)`
+                text: `Budget exceeded! You've spent ${this.formatMoney(thisMonthTotal)} (${this.formatMoney(thisMonthTotal - this.monthlyBudget)} over budget)`
             });
         } else if (percentageUsed >= 90) {
             alerts.push({
                 type: 'critical',
                 icon: '⚠️',
-                text: `Almost at budget limit! ₹${thisMonthTotal.toFixed(2)} spent (${percentageUsed.toFixed(1)}% of budget)`
+                text: `Almost at budget limit! ${this.formatMoney(thisMonthTotal)} spent (${percentageUsed.toFixed(1)}% of budget)`
             });
         } else if (percentageUsed >= 75) {
             alerts.push({
                 type: 'warning',
                 icon: '💡',
-                text: `Budget warning: ₹${thisMonthTotal.toFixed(2)} spent (${percentageUsed.toFixed(1)}% of budget)`
+                text: `Budget warning: ${this.formatMoney(thisMonthTotal)} spent (${percentageUsed.toFixed(1)}% of budget)`
             });
         } else if (percentageUsed >= 50) {
             alerts.push({
                 type: 'info',
                 icon: '📊',
-                text: `Half budget reached: ₹${thisMonthTotal.toFixed(2)} spent (${percentageUsed.toFixed(1)}% of budget)`
+                text: `Half budget reached: ${this.formatMoney(thisMonthTotal)} spent (${percentageUsed.toFixed(1)}% of budget)`
+            });
+        }
+
+        // Warn early when the month-end projection is over budget
+        const forecast = this.getSpendingForecast();
+        if (percentageUsed < 100 && forecast.projected > this.monthlyBudget) {
+            alerts.push({
+                type: percentageUsed >= 75 ? 'critical' : 'warning',
+                icon: '📈',
+                text: `On pace to exceed the budget: ${this.formatMoney(forecast.projected)} projected by month end (${this.formatMoney(forecast.projected - this.monthlyBudget)} over)` +
+                    (forecast.daysLeft !== null ? `, the budget lasts about ${forecast.daysLeft} more days` : '')
             });
         }
 
+        // Each category budget warns from 75% on
+        const categorySpending = this.getCategorySpending(thisMonthBills);
+        Object.entries(this.getBudget()?.categories || {}).forEach(([category, budget]) => {
+            const spent = categorySpending[category] || 0;
+            const percentage = (spent / budget) * 100;
+            if (percentage >= 100) {
+                alerts.push({ type: 'critical', icon: '🚨', text: `${this.formatCategory(category)} budget exceeded: ${this.formatMoney(spent)} of ${this.formatMoney(budget)} (${this.formatMoney(spent - budget)} over)` });
+            } else if (percentage >= 90) {
+                alerts.push({ type: 'critical', icon: '⚠️', text: `${this.formatCategory(category)} almost at its limit: ${this.formatMoney(spent)} of ${this.formatMoney(budget)} (${percentage.toFixed(1)}%)` });
+            } else if (percentage >= 75) {
+                alerts.push({ type: 'warning', icon: '💡', text: `${this.formatCategory(category)} budget warning: ${this.formatMoney(spent)} of ${this.formatMoney(budget)} (${percentage.toFixed(1)}%)` });
+            }
+        });
+
         if (alerts.length === 0) {
             alerts.push({
                 type: 'info',
                 icon: '✅',
-                text: `Budget on track: ₹${thisMonthTotal.toFixed(2)} spent (${percentageUsed.toFixed(1)}% of budget)`
+                text: `Budget on track: ${this.formatMoney(thisMonthTotal)} spent (${percentageUsed.toFixed(1)}% of budget)`
             });
         }
 
@@ -1404,6 +2263,585 @@ class BillRecorder {
         `).join('');
     }
 
+    // Category Budget Feature
+    setupCategoryBudgets() {
+        document.getElementById('openCategoryBudgets')?.addEventListener('click', () => this.openCategoryBudgets());
+        document.getElementById('saveCategoryBudgets')?.addEventListener('click', () => this.saveCategoryBudgets());
+    }
+
+    getMonthKey(date = new Date()) {
+        return this.getDateKey(date).slice(0, 7);
+    }
+
+    // Budget that applied in the given month, or null before the first budget
+    getBudget(monthKey = this.getMonthKey()) {
+        const month = Object.keys(this.budgetHistory).filter(key => key <= monthKey).sort().pop();
+        return month ? this.budgetHistory[month] : null;
+    }
+
+    // The single budget used before budgets were kept per month applies from the first bill on
+    async createBudgetHistory() {
+        const firstMonth = this.bills.map(bill => this.getMonthKey(new Date(bill.date))).sort()[0] || this.getMonthKey();
+        const history = { [firstMonth]: { total: this.monthlyBudget, categories: {} } };
+        await this.storage.setSetting('budgetHistory', history);
+        return history;
+    }
+
+    // Changes take effect from the current month; earlier months keep their budget
+    async saveBudget(changes) {
+        const month = this.getMonthKey();
+        const current = this.getBudget(month) || { total: this.monthlyBudget, categories: {} };
+        const history = { ...this.budgetHistory, [month]: { ...current, ...changes } };
+
+        try {
+            await this.storage.setSetting('budgetHistory', history);
+        } catch (error) {
+            this.handleStorageError(error);
+            return false;
+        }
+
+        this.budgetHistory = history;
+        this.monthlyBudget = history[month].total;
+        this.updateDashboard();
+        return true;
+    }
+
+    getMonthBills(monthKey) {
+        return this.bills.filter(bill => this.getMonthKey(new Date(bill.date)) === monthKey);
+    }
+
+    getCategorySpending(bills) {
+        const spending = {};
+        bills.forEach(bill => {
+            bill.products.forEach(product => {
+                spending[product.category] = (spending[product.category] || 0) + this.toBaseAmount(bill, product.total);
+            });
+        });
+        return spending;
+    }
+
+    openCategoryBudgets() {
+        const budgets = this.getBudget()?.categories || {};
+        const container = document.getElementById('categoryBudgetList');
+        container.innerHTML = this.categories
+            .filter(category => !category.archived || budgets[category.name])
+            .map(category => `
+                <div class="category-budget-row">
+                    <span>${this.formatCategory(category.name)}</span>
+                    <input type="number" min="0" step="100" placeholder="No limit" data-category="${this.escapeHtml(category.name)}"
+                        value="${budgets[category.name] ? this.fromPaise(budgets[category.name]) : ''}">
+                </div>
+            `).join('');
+        this.showModal('categoryBudgetModal');
+    }
+
+    async saveCategoryBudgets() {
+        const categories = {};
+        const inputs = [...document.querySelectorAll('#categoryBudgetList input[data-category]')];
+        for (const input of inputs) {
+            if (!input.value) continue;
+            const amount = parseFloat(input.value);
+            if (!(amount >= 0)) {
+                this.showNotification(`Please enter a valid budget for ${input.dataset.category}`, 'error');
+                return;
+            }
+            if (amount > 0) categories[input.dataset.category] = this.toPaise(amount);
+        }
+
+        if (!await this.saveBudget({ categories })) return;
+        this.hideModal('categoryBudgetModal');
+        this.showNotification('Category budgets saved', 'success');
+    }
+
+    renderCategoryBudgets() {
+        const container = document.getElementById('categoryBudgets');
+        if (!container) return;
+
+        const budgets = Object.entries(this.getBudget()?.categories || {});
+        const spending = this.getCategorySpending(this.getMonthBills(this.getMonthKey()));
+        container.innerHTML = budgets.map(([category, budget]) => {
+            const spent = spending[category] || 0;
+            const percentage = (spent / budget) * 100;
+            return `
+                <div class="category-budget ${percentage >= 100 ? 'over' : ''}">
+                    <div class="category-budget-label">
+                        <span>${this.formatCategory(category)}</span>
+                        <span>${this.formatMoney(spent)} of ${this.formatMoney(budget)}</span>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${Math.min(percentage, 100)}%; background: ${percentage >= 100 ? 'var(--danger-color)' : this.getCategoryColor(category)}"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Budget against spending for each month, newest first
+    renderBudgetHistory() {
+        const container = document.getElementById('budgetHistory');
+        if (!container) return;
+
+        const currentMonth = this.getMonthKey();
+        const firstMonth = [...Object.keys(this.budgetHistory), ...this.bills.map(bill => this.getMonthKey(new Date(bill.date)))].sort()[0] || currentMonth;
+        const months = [];
+        for (let date = this.parseDateKey(`${currentMonth}-01`); this.getMonthKey(date) >= firstMonth && months.length < 12; date.setMonth(date.getMonth() - 1)) {
+            months.push(this.getMonthKey(date));
+        }
+
+        const difference = (spent, budget) => spent > budget
+            ? `<span class="budget-over">${this.formatMoney(spent - budget)} over</span>`
+            : `<span class="budget-under">${this.formatMoney(budget - spent)} under</span>`;
+
+        container.innerHTML = `
+            <table class="budget-history-table">
+                <thead>
+                    <tr><th>Month</th><th>Budget</th><th>Spent</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${months.map(month => {
+                        const budget = this.getBudget(month);
+                        const bills = this.getMonthBills(month);
+                        const spent = bills.reduce((sum, bill) => sum + this.toBaseAmount(bill), 0);
+                        const spending = this.getCategorySpending(bills);
+                        const categories = Object.entries(budget?.categories || {}).map(([category, amount]) =>
+                            `<div>${this.formatCategory(category)}: ${this.formatMoney(spending[category] || 0)} of ${this.formatMoney(amount)} • ${difference(spending[category] || 0, amount)}</div>`
+                        ).join('');
+                        return `
+                            <tr>
+                                <td>
+                                    ${this.parseDateKey(`${month}-01`).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' })}
+                                    ${categories ? `<div class="budget-history-categories">${categories}</div>` : ''}
+                                </td>
+                                <td>${budget ? this.formatMoney(budget.total) : '—'}</td>
+                                <td>${this.formatMoney(spent)}</td>
+                                <td>${budget ? difference(spent, budget.total) : ''}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // Spending Forecast Feature
+    // Projects this month's spending: the daily pace so far, blended with the same month in earlier
+    // years, plus recurring bills still due before the month ends
+    getSpendingForecast(today = new Date()) {
+        const monthBills = this.getMonthBills(this.getMonthKey(today));
+        const spent = monthBills.reduce((sum, bill) => sum + this.toBaseAmount(bill), 0);
+        const daysInMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0).getDate();
+        const daysElapsed = today.getDate();
+        const daysRemaining = daysInMonth - daysElapsed;
+
+        // Recurring bills are counted on their due dates, not in the daily pace
+        const dailySpending = monthBills.filter(bill => !bill.recurringId).reduce((sum, bill) => sum + this.toBaseAmount(bill), 0);
+        const seasonalPace = this.getSeasonalPace(today);
+        let dailyPace = dailySpending / daysElapsed;
+        if (seasonalPace !== null) {
+            // Early in the month earlier years count for more, later the month's own pace
+            dailyPace = (dailyPace * daysElapsed + seasonalPace * daysRemaining) / daysInMonth;
+        }
+        dailyPace = Math.round(dailyPace);
+
+        const todayKey = this.getDateKey(today);
+        const monthEnd = this.getDateKey(new Date(today.getFullYear(), today.getMonth() + 1, 0));
+        let recurring = 0;
+        this.recurringBills.forEach(template => {
+            for (let due = template.nextDue; due <= monthEnd; due = this.getNextRecurringDate(template, due)) {
+                if (due > todayKey) recurring += template.amount;
+            }
+        });
+
+        const projected = spent + dailyPace * daysRemaining + recurring;
+        const available = this.monthlyBudget - spent - recurring;
+        let daysLeft = null;
+        if (available <= 0) {
+            daysLeft = 0;
+        } else if (dailyPace > 0) {
+            daysLeft = Math.floor(available / dailyPace);
+        }
+
+        return { spent, projected, dailyPace, recurring, seasonal: seasonalPace !== null, daysRemaining, daysLeft };
+    }
+
+    // Average daily spending, without recurring bills, in this calendar month of earlier years; null without that history
+    getSeasonalPace(today) {
+        const currentMonth = this.getMonthKey(today);
+        const totals = {};
+        this.bills.forEach(bill => {
+            const month = this.getMonthKey(new Date(bill.date));
+            if (bill.recurringId || month >= currentMonth || month.slice(5) !== currentMonth.slice(5)) return;
+            totals[month] = (totals[month] || 0) + this.toBaseAmount(bill);
+        });
+
+        const months = Object.keys(totals);
+        if (months.length === 0) return null;
+        return months.reduce((sum, month) => {
+            const [year, monthNumber] = month.split('-').map(Number);
+            return sum + totals[month] / new Date(year, monthNumber, 0).getDate();
+        }, 0) / months.length;
+    }
+
+    renderBudgetForecast() {
+        const container = document.getElementById('budgetForecast');
+        if (!container) return;
+
+        const forecast = this.getSpendingForecast();
+        const overBudget = forecast.projected > this.monthlyBudget;
+        let daysLeft = 'Rest of the month';
+        if (forecast.daysLeft !== null && forecast.daysLeft < forecast.daysRemaining) {
+            daysLeft = `<span class="budget-over">${forecast.daysLeft} of ${forecast.daysRemaining}</span>`;
+        } else if (forecast.daysLeft !== null) {
+            daysLeft = `${forecast.daysLeft} (${forecast.daysRemaining} to go)`;
+        }
+
+        container.innerHTML = `
+            <div class="budget-forecast-item">
+                <span>Projected month-end</span>
+                <strong class="${overBudget ? 'budget-over' : 'budget-under'}">${this.formatMoney(forecast.projected)}</strong>
+            </div>
+            <div class="budget-forecast-item">
+                <span>Daily pace</span>
+                <strong>${this.formatMoney(forecast.dailyPace)}/day</strong>
+            </div>
+            <div class="budget-forecast-item">
+                <span>Recurring still due</span>
+                <strong>${this.formatMoney(forecast.recurring)}</strong>
+            </div>
+            <div class="budget-forecast-item">
+                <span>Days of budget left</span>
+                <strong>${daysLeft}</strong>
+            </div>
+            ${forecast.seasonal ? '<p class="import-hint">The pace is blended with this month in earlier years.</p>' : ''}
+        `;
+    }
+
+    // System Notifications Feature
+    setupSystemNotifications() {
+        document.getElementById('openNotifications')?.addEventListener('click', () => this.openNotificationSettings());
+        document.getElementById('saveNotifications')?.addEventListener('click', () => this.saveNotificationSettings());
+        document.getElementById('testNotification')?.addEventListener('click', () => this.sendTestNotification());
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data?.type === 'notification-click') this.switchTab(e.data.tab);
+            });
+        }
+        if (this.notificationSettings.enabled) this.registerNotificationWorker();
+
+        // Bills trigger a check through updateDashboard; the timer catches due dates and the end of quiet hours
+        setInterval(() => this.checkSystemNotifications(), 60000);
+        this.checkSystemNotifications();
+    }
+
+    canNotify() {
+        return 'Notification' in window && Notification.permission === 'granted';
+    }
+
+    async registerNotificationWorker() {
+        if (!('serviceWorker' in navigator)) return null;
+        try {
+            return await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            // Pages opened from file:// cannot register a worker; notifications then come from the page
+            console.warn('Service worker registration failed:', error);
+            return null;
+        }
+    }
+
+    openNotificationSettings() {
+        const settings = this.notificationSettings;
+        document.getElementById('notificationsEnabled').checked = settings.enabled && this.canNotify();
+        document.getElementById('quietHoursStart').value = settings.quietStart;
+        document.getElementById('quietHoursEnd').value = settings.quietEnd;
+        document.getElementById('notificationToggles').innerHTML = NOTIFICATION_ALERTS.map(alert => `
+            <div class="form-group form-check">
+                <label>
+                    <input type="checkbox" data-alert="${alert.value}" ${settings.alerts[alert.value] !== false ? 'checked' : ''}>
+                    ${alert.label}
+                </label>
+            </div>
+        `).join('');
+        this.renderNotificationPermission();
+        this.showModal('notificationModal');
+    }
+
+    renderNotificationPermission() {
+        const hint = document.getElementById('notificationPermission');
+        if (!('Notification' in window)) {
+            hint.textContent = 'This browser does not support notifications.';
+        } else if (Notification.permission === 'denied') {
+            hint.textContent = 'Notifications are blocked for this site. Allow them in the browser\'s site settings first.';
+        } else {
+            hint.textContent = 'Notifications appear while the app is open, even in a background tab.';
+        }
+    }
+
+    async saveNotificationSettings() {
+        const enabled = document.getElementById('notificationsEnabled').checked;
+        const quietStart = document.getElementById('quietHoursStart').value;
+        const quietEnd = document.getElementById('quietHoursEnd').value;
+        if (Boolean(quietStart) !== Boolean(quietEnd)) {
+            this.showNotification('Please set both ends of the quiet hours, or neither', 'error');
+            return;
+        }
+
+        if (enabled && !this.canNotify()) {
+            const permission = 'Notification' in window ? await Notification.requestPermission() : 'denied';
+            if (permission !== 'granted') {
+                this.renderNotificationPermission();
+                this.showNotification('Notification permission was not granted', 'error');
+                return;
+            }
+        }
+
+        const alerts = {};
+        document.querySelectorAll('#notificationToggles input[data-alert]').forEach(input => {
+            alerts[input.dataset.alert] = input.checked;
+        });
+        const settings = { enabled, quietStart, quietEnd, alerts };
+
+        try {
+            await this.storage.setSetting('notificationSettings', settings);
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.notificationSettings = settings;
+        if (enabled) await this.registerNotificationWorker();
+        this.hideModal('notificationModal');
+        this.showNotification(enabled ? 'Notifications turned on' : 'Notifications turned off', 'success');
+        this.checkSystemNotifications();
+    }
+
+    async sendTestNotification() {
+        if (!this.canNotify()) {
+            const permission = 'Notification' in window ? await Notification.requestPermission() : 'denied';
+            this.renderNotificationPermission();
+            if (permission !== 'granted') {
+                this.showNotification('Notification permission was not granted', 'error');
+                return;
+            }
+        }
+        await this.showSystemNotification('Auto Bill Recorder', { body: 'Notifications are working.', tag: 'test' });
+    }
+
+    // Quiet hours may run past midnight, e.g. 22:00 to 07:00
+    isQuietTime(now = new Date()) {
+        const { quietStart, quietEnd } = this.notificationSettings;
+        if (!quietStart || !quietEnd) return false;
+        const time = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+        return quietStart <= quietEnd ? time >= quietStart && time < quietEnd : time >= quietStart || time < quietEnd;
+    }
+
+    // Alerts not sent yet; jumping past several thresholds at once only notifies the highest
+    getSystemAlerts() {
+        const enabled = type => this.notificationSettings.alerts[type] !== false;
+        const month = this.getMonthKey();
+        const monthBills = this.getMonthBills(month);
+        const alerts = [];
+
+        const addThresholdAlert = (key, spent, budget, name) => {
+            const crossed = NOTIFICATION_THRESHOLDS.filter(threshold => spent >= budget * threshold / 100);
+            if (crossed.length === 0) return;
+            const threshold = crossed[crossed.length - 1];
+            alerts.push({
+                keys: crossed.map(value => `${key}-${month}-${value}`),
+                title: threshold >= 100 ? `${name} exceeded` : `${name}: ${threshold}% used`,
+                body: `${this.formatMoney(spent)} of ${this.formatMoney(budget)} spent this month`
+            });
+        };
+
+        if (enabled('budget')) {
+            const spent = monthBills.reduce((sum, bill) => sum + this.toBaseAmount(bill), 0);
+            addThresholdAlert('budget', spent, this.monthlyBudget, 'Monthly budget');
+        }
+
+        if (enabled('categories')) {
+            const spending = this.getCategorySpending(monthBills);
+            Object.entries(this.getBudget()?.categories || {}).forEach(([category, budget]) => {
+                addThresholdAlert(`category-${category}`, spending[category] || 0, budget, `${category} budget`);
+            });
+        }
+
+        if (enabled('forecast')) {
+            const forecast = this.getSpendingForecast();
+            if (forecast.spent < this.monthlyBudget && forecast.projected > this.monthlyBudget) {
+                alerts.push({
+                    keys: [`forecast-${month}`],
+                    title: 'On pace to go over budget',
+                    body: `${this.formatMoney(forecast.projected)} projected by month end against a budget of ${this.formatMoney(this.monthlyBudget)}`
+                });
+            }
+        }
+
+        if (enabled('recurring')) {
+            const today = this.getDateKey();
+            const tomorrow = new Date();
+            tomorrow.setDate(tomorrow.getDate() + 1);
+            this.recurringBills.filter(template => template.nextDue <= this.getDateKey(tomorrow)).forEach(template => {
+                alerts.push({
+                    keys: [`recurring-${template.id}-${template.nextDue}`],
+                    title: `${template.name} is due ${template.nextDue <= today ? 'today' : 'tomorrow'}`,
+                    body: `${this.formatMoney(template.amount)} not recorded yet. Confirm or skip it under Upcoming Bills.`
+                });
+            });
+        }
+
+        return alerts.filter(alert => alert.keys.some(key => !this.sentNotifications[key]));
+    }
+
+    async checkSystemNotifications() {
+        if (!this.notificationSettings.enabled || !this.canNotify() || this.isQuietTime()) return;
+
+        const alerts = this.getSystemAlerts();
+        if (alerts.length === 0) return;
+
+        // Marked before anything is awaited so overlapping checks cannot send twice
+        const today = this.getDateKey();
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - 62);
+        const sent = {};
+        Object.entries(this.sentNotifications).forEach(([key, day]) => {
+            if (day >= this.getDateKey(cutoff)) sent[key] = day;
+        });
+        alerts.forEach(alert => alert.keys.forEach(key => {
+            sent[key] = today;
+        }));
+        this.sentNotifications = sent;
+        this.storage.setSetting('sentNotifications', sent).catch(error => this.handleStorageError(error));
+
+        for (const alert of alerts) {
+            await this.showSystemNotification(alert.title, { body: alert.body, tag: alert.keys[alert.keys.length - 1], data: { tab: 'dashboard' } });
+        }
+    }
+
+    async showSystemNotification(title, options) {
+        try {
+            const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+            if (registration) {
+                await registration.showNotification(title, options);
+                return;
+            }
+            const notification = new Notification(title, options);
+            notification.onclick = () => {
+                window.focus();
+                this.switchTab('dashboard');
+                notification.close();
+            };
+        } catch (error) {
+            console.warn('Notification failed:', error);
+        }
+    }
+
+    // Unusual Spend Feature
+    updateUnusualSpending() {
+        this.unusualFindings = this.detectUnusualSpending();
+        return this.unusualFindings;
+    }
+
+    // Bills far above the usual bill, categories at double their 3-month average this month and
+    // products bought well above their last price; bills and prices are checked over the last 30 days
+    detectUnusualSpending(now = new Date()) {
+        const findings = [];
+        const recentStart = new Date(now);
+        recentStart.setDate(recentStart.getDate() - UNUSUAL_SPEND.recentDays);
+        const bills = this.bills.slice().sort((a, b) => new Date(a.date) - new Date(b.date));
+        const isRecent = bill => new Date(bill.date) >= recentStart;
+        const formatDate = bill => new Date(bill.date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+        // The usual bill is the median of the bills before it; rent and other recurring bills are
+        // expected to be large, so they are neither flagged nor counted
+        const everydayBills = bills.filter(bill => !bill.recurringId);
+        everydayBills.forEach((bill, index) => {
+            if (!isRecent(bill) || index < UNUSUAL_SPEND.minimumBills) return;
+            const earlier = everydayBills.slice(0, index).map(item => this.toBaseAmount(item)).sort((a, b) => a - b);
+            const usual = earlier[Math.floor(earlier.length / 2)];
+            const amount = this.toBaseAmount(bill);
+            if (usual > 0 && amount >= usual * UNUSUAL_SPEND.billFactor) {
+                findings.push({
+                    icon: '🧾',
+                    text: `The ${formatDate(bill)} bill of ${this.formatMoney(amount)} is ${(amount / usual).toFixed(1)}× your usual bill of ${this.formatMoney(usual)}`,
+                    billIds: [bill.id]
+                });
+            }
+        });
+
+        const month = this.getMonthKey(now);
+        const monthBills = this.getMonthBills(month);
+        const previousSpending = [1, 2, 3].map(offset => {
+            const previousMonth = this.getMonthKey(new Date(now.getFullYear(), now.getMonth() - offset, 1));
+            return this.getCategorySpending(this.getMonthBills(previousMonth));
+        });
+        Object.entries(this.getCategorySpending(monthBills)).forEach(([category, spent]) => {
+            // Averaged over the months the category was used in, so a new category is not compared with empty months
+            const history = previousSpending.map(spending => spending[category] || 0).filter(amount => amount > 0);
+            if (history.length === 0) return;
+            const average = history.reduce((sum, amount) => sum + amount, 0) / history.length;
+            if (spent >= average * UNUSUAL_SPEND.categoryFactor) {
+                findings.push({
+                    icon: '📊',
+                    text: `${category} spending this month, ${this.formatMoney(spent)}, is ${(spent / average).toFixed(1)}× its average of ${this.formatMoney(Math.round(average))} over the last ${history.length === 1 ? 'month' : `${history.length} months`}`,
+                    billIds: monthBills.filter(bill => bill.products.some(product => product.category === category)).map(bill => bill.id)
+                });
+            }
+        });
+
+        // Prices are compared per unit, so "kg" and "g" purchases of a product are kept apart
+        const lastPrices = {};
+        bills.forEach(bill => {
+            bill.products.forEach(product => {
+                const key = `${this.normalizeProductName(product.name)}|${product.unit || ''}`;
+                const price = this.toBaseAmount(bill, product.price);
+                const previous = lastPrices[key];
+                if (previous && isRecent(bill) && previous.price > 0 && price >= previous.price * UNUSUAL_SPEND.priceFactor) {
+                    const unit = product.unit ? `/${product.unit}` : '';
+                    findings.push({
+                        icon: '🏷️',
+                        text: `${product.name} cost ${this.formatMoney(price)}${unit} on ${formatDate(bill)}, ${Math.round((price / previous.price - 1) * 100)}% more than ${this.formatMoney(previous.price)}${unit} on ${formatDate(previous.bill)}`,
+                        billIds: [previous.bill.id, bill.id]
+                    });
+                }
+                lastPrices[key] = { price, bill };
+            });
+        });
+
+        return findings;
+    }
+
+    renderUnusualSpending() {
+        const container = document.getElementById('unusualSpending');
+        if (!container) return;
+
+        // Findings only link to bills that still exist
+        const billsById = new Map(this.bills.map(bill => [bill.id, bill]));
+        const findings = this.unusualFindings
+            .map(finding => ({ ...finding, bills: finding.billIds.map(id => billsById.get(id)).filter(Boolean) }))
+            .filter(finding => finding.bills.length > 0);
+
+        if (findings.length === 0) {
+            container.innerHTML = '<p class="import-hint">Nothing unusual in recent bills.</p>';
+            return;
+        }
+
+        container.innerHTML = findings.map(finding => `
+            <div class="unusual-finding">
+                <span class="unusual-finding-icon">${finding.icon}</span>
+                <div>
+                    <div>${this.escapeHtml(finding.text)}</div>
+                    <div class="unusual-finding-bills">
+                        ${finding.bills.map(bill => `
+                            <button type="button" class="btn btn-secondary btn-small" onclick="window.billRecorder.viewBill(${bill.id})">
+                                🧾 ${new Date(bill.date).toLocaleDateString('en-IN')} • ${this.formatMoney(this.toBaseAmount(bill))}
+                            </button>
+                        `).join('')}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    }
+
     // Payment Method Tracking Feature
     setupPaymentTracking() {
         this.updatePaymentStats();
@@ -1414,23 +2852,17 @@ class BillRecorder {
         if (!statsContainer) return;
 
         const paymentStats = {};
-        const paymentIcons = {
-            'Cash': '💵',
-            'Card': '💳',
-            'UPI': '📱',
-            'Net Banking': '🏦',
-            'Wallet': '👛',
-            'Other': '🔄'
-        };
+        const paymentIcons = Object.fromEntries(PAYMENT_METHODS.map(method => [method.value, method.icon]));
 
-        this.bills.forEach(bill => {
-            bill.products.forEach(product => {
-                const method = product.paymentMethod || 'Other';
+        // One transaction per bill and method; a split bill counts once for each tender
+        this.getPeriodBills().forEach(bill => {
+            (bill.payments || []).forEach(payment => {
+                const method = payment.method || 'Other';
                 if (!paymentStats[method]) {
                     paymentStats[method] = { count: 0, amount: 0 };
                 }
                 paymentStats[method].count++;
-                paymentStats[method].amount += product.total;
+                paymentStats[method].amount += this.toBaseAmount(bill, payment.amount);
             });
         });
 
@@ -1441,7 +2873,7 @@ class BillRecorder {
                         <div class="payment-method-icon">${paymentIcons[method] || '💳'}</div>
                         <div class="payment-method-name">${method}</div>
                         <div class="payment-method-count">${stats.count} transactions</div>
-                        <div class="payment-method-amount">₹${stats.amount.toFixed(2)}</div>
+                        <div class="payment-method-amount">${this.formatMoney(stats.amount)}</div>
                     </div>
                 `).join('')}
             </div>
@@ -1498,75 +2930,204 @@ class BillRecorder {
         }
     }
 
-    saveBillOffline(bill) {
-        if (!this.isOnline) {
-            this.pendingSync.push({
-                type: 'bill',
-                data: bill,
-                timestamp: Date.now()
-            });
-            this.savePendingSync();
-        }
+    // Append a bill change to the sync log and push it when possible
+    queueChange(op, bill) {
+        this.appendSyncChange(op, bill);
+        this.savePendingSync();
+        this.syncPendingData();
+    }
+
+    appendSyncChange(op, bill) {
+        const lastChange = this.pendingSync[this.pendingSync.length - 1];
+        this.pendingSync.push({
+            seq: Math.max(Date.now(), (lastChange?.seq || 0) + 1),
+            op: op,
+            billId: bill.id,
+            bill: op === 'delete' ? null : bill,
+            timestamp: Date.now()
+        });
     }
 
     savePendingSync() {
-        localStorage.setItem('pendingSync', JSON.stringify(this.pendingSync));
+        this.storage.setSetting('pendingSync', this.pendingSync).catch(error => this.handleStorageError(error));
     }
 
     loadPendingSync() {
-        const pending = localStorage.getItem('pendingSync');
-        if (pending) {
-            this.pendingSync = JSON.parse(pending);
-        }
+        this.storage.getSetting('pendingSync', []).then(pending => {
+            this.pendingSync = pending;
+        }).catch(error => this.handleStorageError(error));
     }
 
-    syncPendingData() {
-        if (this.pendingSync.length === 0 || !this.isOnline) return;
+    async syncPendingData() {
+        if (!this.syncEndpoint || !this.isOnline) {
+            this.updateSyncStatus();
+            return;
+        }
 
-        const syncStatus = document.getElementById('syncStatus');
-        const syncText = document.getElementById('syncText');
-        const syncIcon = syncStatus?.querySelector('.sync-icon');
+        // A change queued mid-sync is picked up by a follow-up run
+        if (this.isSyncing) {
+            this.syncQueued = true;
+            return;
+        }
 
-        // Show syncing status
-        syncStatus?.classList.remove('offline', 'online');
-        syncStatus?.classList.add('syncing');
-        syncText.textContent = 'Syncing...';
-        if (syncIcon) syncIcon.textContent = '🔄';
+        clearTimeout(this.syncRetryTimer);
+        this.isSyncing = true;
+        this.syncQueued = false;
+        this.updateSyncStatus();
 
-        // Simulate sync process (in real app, this would be API calls)
-        setTimeout(() => {
-            this.pendingSync = [];
-            this.savePendingSync();
-            
-            syncStatus?.classList.remove('syncing', 'offline');
-            syncStatus?.classList.add('online');
-            syncText.textContent = 'Online - Synced';
-            if (syncIcon) syncIcon.textContent = '✓';
-            
-            this.showNotification('All pending data synced successfully!', 'success');
-        }, 2000);
-    }
+        const transport = new RestSyncTransport(this.syncEndpoint);
+        try {
+            if (this.pendingSync.length > 0) {
+                const batch = this.pendingSync.slice();
+                const accepted = new Set(await transport.push(this.syncClientId, batch));
+                const rejected = batch.filter(change => !accepted.has(change.seq));
 
-    // Override generateBill to include payment method tracking and offline support
-    generateBill() {
-        if (this.products.length === 0) {
-            this.showNotification('Please add at least one product', 'error');
-            return;
+                this.pendingSync = this.pendingSync.filter(change => !accepted.has(change.seq));
+                this.savePendingSync();
+
+                if (rejected.length > 0) {
+                    throw new Error(`Server rejected ${rejected.length} changes`);
+                }
+            }
+
+            const { changes, cursor } = await transport.pull(this.syncClientId, this.syncCursor);
+            await this.applyRemoteChanges(changes);
+
+            this.syncCursor = cursor;
+            this.lastSyncedAt = new Date().toISOString();
+            this.syncAttempt = 0;
+            this.syncError = null;
+            await this.storage.setSetting('syncCursor', this.syncCursor);
+            await this.storage.setSetting('lastSyncedAt', this.lastSyncedAt);
+        } catch (error) {
+            console.error('Sync failed:', error);
+            this.syncError = error.message;
+            this.scheduleSyncRetry();
+        } finally {
+            this.isSyncing = false;
+            this.updateSyncStatus();
         }
 
-        const bill = {
-            id: Date.now(),
-            date: new Date().toISOString(),
-            products: [...this.products],
-            total: this.products.reduce((sum, product) => sum + product.total, 0)
-        };
+        if (this.syncQueued && !this.syncError) {
+            this.syncPendingData();
+        }
+    }
 
-        this.bills.push(bill);
-        localStorage.setItem('bills', JSON.stringify(this.bills));
-        
-        // Save for offline sync
-        this.saveBillOffline(bill);
-        
+    scheduleSyncRetry() {
+        this.syncAttempt++;
+        const delay = Math.min(SYNC_RETRY_BASE_DELAY * 2 ** (this.syncAttempt - 1), SYNC_RETRY_MAX_DELAY);
+        this.syncRetryAt = Date.now() + delay;
+        clearTimeout(this.syncRetryTimer);
+        this.syncRetryTimer = setTimeout(() => this.syncPendingData(), delay);
+    }
+
+    async applyRemoteChanges(changes) {
+        // Bills with local changes still waiting to be pushed keep the local version
+        const pendingIds = new Set(this.pendingSync.map(change => change.billId));
+        let applied = 0;
+
+        for (const change of changes) {
+            if (change.clientId === this.syncClientId || pendingIds.has(change.billId)) continue;
+
+            if (change.op === 'delete') {
+                this.bills = this.bills.filter(bill => bill.id !== change.billId);
+                await this.storage.deleteBill(change.billId);
+                applied++;
+            } else if (change.op === 'create' || change.op === 'update') {
+                if (this.validateBill(change.bill).length > 0) {
+                    console.warn('Skipping malformed bill from sync server:', change);
+                    continue;
+                }
+                const bill = this.normalizeImportedBill(change.bill);
+                this.bills = this.bills.filter(existing => existing.id !== bill.id).concat(bill);
+                await this.storage.putBill(bill);
+                if (change.op === 'create') this.recordCatalogBills([bill]);
+                this.addMissingCategories([bill]);
+                applied++;
+            }
+        }
+
+        if (applied > 0) {
+            this.bills.sort((a, b) => new Date(a.date) - new Date(b.date));
+            this.loadBills();
+            this.updateDashboard();
+            this.showNotification(`Received ${applied} changes from sync server`, 'info');
+        }
+    }
+
+    openSyncSettings() {
+        document.getElementById('syncEndpointInput').value = this.syncEndpoint;
+        this.renderSyncDetails();
+        this.showModal('syncModal');
+    }
+
+    renderSyncDetails() {
+        const details = document.getElementById('syncDetails');
+        if (!details) return;
+
+        const lastSynced = this.lastSyncedAt ? new Date(this.lastSyncedAt).toLocaleString('en-IN') : 'Never';
+        details.innerHTML = `
+            <div>Pending changes: <strong>${this.pendingSync.length}</strong></div>
+            <div>Last synced: <strong>${lastSynced}</strong></div>
+            ${this.syncError ? `<div class="sync-error">Last error: ${this.escapeHtml(this.syncError)}</div>` : ''}
+        `;
+    }
+
+    async saveSyncSettings() {
+        const endpoint = document.getElementById('syncEndpointInput').value.trim();
+
+        if (endpoint) {
+            try {
+                const url = new URL(endpoint);
+                if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+            } catch (error) {
+                this.showNotification('Please enter a valid http(s) URL', 'error');
+                return;
+            }
+        }
+
+        // A new server starts from scratch: pull everything and push every bill
+        if (endpoint !== this.syncEndpoint) {
+            this.syncCursor = null;
+            this.syncAttempt = 0;
+            this.syncError = null;
+            await this.storage.setSetting('syncCursor', null);
+            if (endpoint) {
+                this.pendingSync = [];
+                this.bills.forEach(bill => this.appendSyncChange('create', bill));
+            }
+        }
+
+        this.syncEndpoint = endpoint;
+        await this.storage.setSetting('syncEndpoint', endpoint);
+        this.savePendingSync();
+
+        this.hideModal('syncModal');
+        this.showNotification(endpoint ? 'Sync server saved' : 'Sync disabled - working locally', 'success');
+        this.syncPendingData();
+    }
+
+    // Override generateBill to include payment method tracking and offline support
+    generateBill() {
+        if (this.products.length === 0) {
+            this.showNotification('Please add at least one product', 'error');
+            return;
+        }
+
+        const bill = {
+            id: Date.now(),
+            date: new Date().toISOString(),
+            products: [...this.products],
+            total: this.products.reduce((sum, product) => sum + product.total, 0)
+        };
+
+        this.bills.push(bill);
+        this.storage.putBill(bill).catch(error => this.handleStorageError(error));
+        this.storage.clear('products').catch(error => this.handleStorageError(error));
+        
+        // Add to the sync change log
+        this.queueChange('create', bill);
+        
         this.products = [];
         this.renderProducts();
         this.updateTotal();
@@ -1873,21 +3434,21 @@ class BillRecorder {
     toggleTheme() {
         this.currentTheme = this.currentTheme === 'light' ? 'dark' : 'light';
         document.documentElement.setAttribute('data-theme', this.currentTheme);
-        localStorage.setItem('theme', this.currentTheme);
+        this.storage.setSetting('theme', this.currentTheme).catch(error => this.handleStorageError(error));
         console.log('Theme switched to:', this.currentTheme);
     }
 
     changeColorTheme(color) {
         this.colorTheme = color;
         document.documentElement.setAttribute('data-theme-color', color);
-        localStorage.setItem('colorTheme', color);
+        this.storage.setSetting('colorTheme', color).catch(error => this.handleStorageError(error));
         console.log('Color theme changed to:', color);
     }
 
     changeFontFamily(font) {
         this.fontFamily = font;
         document.documentElement.setAttribute('data-font', font);
-        localStorage.setItem('fontFamily', font);
+        this.storage.setSetting('fontFamily', font).catch(error => this.handleStorageError(error));
         console.log('Font family changed to:', font);
     }
 
@@ -1899,32 +3460,181 @@ class BillRecorder {
             const quantityInput = document.getElementById('quantity');
             if (quantityInput) quantityInput.value = 1;
         }
+        
+        // Leave line editing mode
+        this.editingProductId = null;
+        const submitButton = document.getElementById('addProductBtn');
+        if (submitButton) submitButton.textContent = '+ ADD PRODUCT';
         console.log('Form cleared');
     }
 
-    startVoiceInput() {
-        if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
-            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-            const recognition = new SpeechRecognition();
-            
-            recognition.onresult = (event) => {
-                const transcript = event.results[0][0].transcript;
-                const productNameInput = document.getElementById('productName');
-                if (productNameInput) {
-                    productNameInput.value = transcript;
-                }
-                this.showNotification('Voice input captured: ' + transcript, 'success');
-            };
-            
-            recognition.onerror = (event) => {
-                this.showNotification('Voice input error: ' + event.error, 'error');
-            };
-            
-            recognition.start();
-            this.showNotification('Listening... Speak now', 'info');
-        } else {
+    setupVoiceLanguage() {
+        const select = document.getElementById('voiceLanguage');
+        if (select) {
+            select.innerHTML = VOICE_LANGUAGES.map(language => `<option value="${language.code}">${language.name}</option>`).join('');
+            select.value = this.voiceLanguage;
+            select.addEventListener('change', (e) => this.setVoiceLanguage(e.target.value));
+        }
+
+        const transliterate = document.getElementById('voiceTransliterate');
+        if (transliterate) {
+            transliterate.checked = this.voiceTransliterate;
+            transliterate.addEventListener('change', (e) => {
+                this.voiceTransliterate = e.target.checked;
+                this.storage.setSetting('voiceTransliterate', this.voiceTransliterate).catch(error => this.handleStorageError(error));
+            });
+        }
+    }
+
+    setVoiceLanguage(language) {
+        this.voiceLanguage = language;
+        this.voiceParser.setLanguage(language);
+        this.storage.setSetting('voiceLanguage', language).catch(error => this.handleStorageError(error));
+
+        // A running session picks up the new language when it restarts
+        if (this.voiceSession) this.voiceSession.lang = language;
+    }
+
+    createSpeechRecognition() {
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        if (!SpeechRecognition) {
             this.showNotification('Voice input not supported in this browser', 'error');
+            return null;
+        }
+
+        const recognition = new SpeechRecognition();
+        recognition.lang = this.voiceLanguage;
+        recognition.interimResults = false;
+        return recognition;
+    }
+
+    // One product per click; the filled-in form is checked and added by hand
+    startVoiceInput() {
+        if (this.voiceSession) this.stopVoiceSession();
+        const recognition = this.createSpeechRecognition();
+        if (!recognition) return;
+
+        recognition.onresult = (event) => {
+            const transcript = event.results[0][0].transcript;
+            const missing = this.applyVoiceEntry(transcript);
+            if (missing.length > 0) {
+                this.showNotification(`Heard "${transcript}" - please add the ${missing.join(' and ')}`, 'info');
+            } else {
+                this.showNotification(`Heard "${transcript}" - check the details and add it`, 'success');
+            }
+        };
+
+        recognition.onerror = (event) => {
+            this.showNotification('Voice input error: ' + event.error, 'error');
+        };
+
+        recognition.start();
+        this.showNotification('Listening... Say the product, quantity, price and category', 'info');
+    }
+
+    // Keeps listening and adds each complete product until "done" or "generate bill"
+    toggleVoiceSession() {
+        if (this.voiceSession) {
+            this.stopVoiceSession();
+            this.showNotification('Voice session ended', 'info');
+            return;
+        }
+        if (this.isLocked) {
+            this.showPinModal();
+            return;
+        }
+
+        const recognition = this.createSpeechRecognition();
+        if (!recognition) return;
+        recognition.continuous = true;
+
+        recognition.onresult = (event) => {
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                if (event.results[i].isFinal) this.handleVoiceSessionResult(event.results[i][0].transcript);
+            }
+        };
+
+        recognition.onerror = (event) => {
+            // Pauses between products are expected
+            if (event.error === 'no-speech') return;
+            this.showNotification('Voice input error: ' + event.error, 'error');
+            this.stopVoiceSession();
+        };
+
+        // Browsers stop listening after a while; carry on until the session is ended
+        recognition.onend = () => {
+            if (this.voiceSession === recognition) recognition.start();
+        };
+
+        this.voiceSession = recognition;
+        recognition.start();
+        this.updateVoiceSessionButton();
+        this.showNotification('Voice session started - say each product, then "done" or "generate bill"', 'info');
+    }
+
+    stopVoiceSession() {
+        const recognition = this.voiceSession;
+        this.voiceSession = null;
+        if (recognition) recognition.stop();
+        this.updateVoiceSessionButton();
+    }
+
+    updateVoiceSessionButton() {
+        const button = this.getElement('voiceSession');
+        if (!button) return;
+
+        button.classList.toggle('listening', this.voiceSession !== null);
+        button.innerHTML = this.voiceSession
+            ? '<span class="btn-icon">⏹️</span> Stop Listening'
+            : '<span class="btn-icon">🔁</span> Voice Session';
+    }
+
+    handleVoiceSessionResult(transcript) {
+        const command = this.voiceParser.getCommand(transcript);
+        if (command) {
+            this.stopVoiceSession();
+            if (command === 'generate') {
+                this.generateBill();
+            } else {
+                this.showNotification('Voice session ended', 'info');
+            }
+            return;
+        }
+
+        const missing = this.applyVoiceEntry(transcript);
+        if (missing.length > 0) {
+            this.showNotification(`Heard "${transcript}" - no ${missing.join(' or ')}, please say it again`, 'error');
+            return;
         }
+        this.addProduct();
+    }
+
+    // Fills the product form from a spoken line and returns the required fields still missing
+    applyVoiceEntry(transcript) {
+        const categories = this.categories.filter(category => !category.archived).map(category => category.name);
+        const entry = this.voiceParser.parse(transcript, categories);
+
+        // A line being edited keeps whatever was not spoken
+        if (this.editingProductId === null) this.clearForm();
+        const nameInput = document.getElementById('productName');
+        const priceInput = document.getElementById('price');
+        if (entry.name) {
+            // Names spoken in Devanagari can be saved in English letters
+            nameInput.value = this.voiceTransliterate
+                ? this.voiceParser.transliterate(entry.name).replace(/\b[a-z]/g, letter => letter.toUpperCase())
+                : entry.name;
+            // Known products fill in their usual details first; anything spoken wins
+            this.applyCatalogEntry(entry.name);
+        }
+        if (entry.quantity) document.getElementById('quantity').value = entry.quantity;
+        if (entry.unit) document.getElementById('unit').value = entry.unit;
+        if (entry.price !== null) priceInput.value = this.fromPaise(entry.price);
+        if (entry.category) this.renderCategoryOptions(entry.category);
+
+        const missing = [];
+        if (!nameInput.value.trim()) missing.push('product name');
+        if (!(parseFloat(priceInput.value) > 0)) missing.push('price');
+        return missing;
     }
 
     generateBill() {
@@ -1933,33 +3643,66 @@ class BillRecorder {
             return;
         }
 
+        // The same button saves changes while an existing bill is being edited
+        if (this.editingBillId) {
+            this.saveEditedBill();
+            return;
+        }
+
+        const date = new Date().toISOString();
+        const billCurrency = this.getBillCurrency(date);
+        if (!billCurrency) return;
+
+        const amounts = this.calculateBillAmounts(this.products);
+        const payments = this.getBillPayments(amounts.net);
+        if (!payments) return;
+
         const bill = {
             id: Date.now(),
-            date: new Date().toISOString(),
+            date: date,
+            ...billCurrency,
             products: [...this.products],
-            total: this.products.reduce((sum, product) => sum + product.total, 0)
+            payments: payments,
+            ...this.resolveBillVendor(),
+            tags: this.readBillTags(),
+            tax: this.calculateBillTax(this.products, this.supplyType, amounts.billDiscount),
+            gross: amounts.gross,
+            discount: this.getBillDiscountRecord(amounts),
+            roundOff: amounts.roundOff,
+            total: amounts.net,
+            minorUnits: true
         };
 
         this.bills.push(bill);
-        localStorage.setItem('bills', JSON.stringify(this.bills));
+        this.storage.putBill(bill).catch(error => this.handleStorageError(error));
+        this.storage.clear('products').catch(error => this.handleStorageError(error));
+        this.queueChange('create', bill);
+        this.recordCatalogBills([bill]);
         
         this.products = [];
         this.renderProducts();
-        this.updateTotal();
+        this.resetTenders();
+        this.setBillDiscount();
+        this.setBillVendor('');
+        this.setBillTags([]);
+        this.setBillCurrency(BASE_CURRENCY);
+        this.updateDashboard();
         
-        this.showNotification('Bill generated successfully!', 'success');
+        const finding = this.unusualFindings.find(item => item.billIds.includes(bill.id));
+        if (finding) {
+            this.showNotification(`Bill generated. Unusual spend: ${finding.text}`, 'info', { label: 'View', handler: () => this.switchTab('dashboard') });
+        } else {
+            this.showNotification('Bill generated successfully!', 'success');
+        }
         this.switchTab('bill-history');
-        this.updateDashboard();
     }
 
-    setBudget() {
+    async setBudget() {
         const budgetInput = document.getElementById('budgetInput');
         if (budgetInput) {
-            const budget = parseFloat(budgetInput.value);
+            const budget = this.toPaise(parseFloat(budgetInput.value));
             if (!isNaN(budget) && budget > 0) {
-                this.monthlyBudget = budget;
-                localStorage.setItem('monthlyBudget', budget.toString());
-                this.updateDashboard();
+                if (!await this.saveBudget({ total: budget })) return;
                 this.showNotification('Budget set successfully!', 'success');
                 budgetInput.value = '';
             } else {
@@ -1971,33 +3714,66 @@ class BillRecorder {
     setupOfflineMode() {
         window.addEventListener('online', () => {
             this.isOnline = true;
-            this.updateSyncStatus();
+            this.syncAttempt = 0;
+            this.syncPendingData();
         });
 
         window.addEventListener('offline', () => {
             this.isOnline = false;
+            clearTimeout(this.syncRetryTimer);
             this.updateSyncStatus();
         });
 
-        this.updateSyncStatus();
+        document.getElementById('syncStatus')?.addEventListener('click', () => this.openSyncSettings());
+        document.getElementById('saveSyncSettings')?.addEventListener('click', () => this.saveSyncSettings());
+        document.getElementById('syncNow')?.addEventListener('click', () => {
+            this.syncAttempt = 0;
+            this.syncPendingData().then(() => this.renderSyncDetails());
+        });
+
+        this.syncPendingData();
     }
 
     updateSyncStatus() {
         const syncStatus = document.getElementById('syncStatus');
         const syncText = document.getElementById('syncText');
+        const syncIcon = syncStatus?.querySelector('.sync-icon');
         const offlineIndicator = document.getElementById('offlineIndicator');
+        const pending = this.pendingSync.length;
 
-        if (this.isOnline) {
-            syncStatus?.classList.add('online');
-            syncStatus?.classList.remove('offline');
-            if (syncText) syncText.textContent = 'Online - Synced';
-            if (offlineIndicator) offlineIndicator.style.display = 'none';
+        let state;
+        let icon;
+        let text;
+        if (!this.isOnline) {
+            state = 'offline';
+            icon = '⚠️';
+            text = pending > 0 ? `Offline - ${pending} changes waiting` : 'Offline - Some features limited';
+        } else if (!this.syncEndpoint) {
+            state = 'online';
+            icon = '💾';
+            text = 'Local only - Sync not set up';
+        } else if (this.isSyncing) {
+            state = 'syncing';
+            icon = '🔄';
+            text = 'Syncing...';
+        } else if (this.syncError) {
+            const retryTime = new Date(this.syncRetryAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+            state = 'error';
+            icon = '❌';
+            text = `Sync failed - retrying at ${retryTime}`;
         } else {
-            syncStatus?.classList.remove('online');
-            syncStatus?.classList.add('offline');
-            if (syncText) syncText.textContent = 'Offline - Some features limited';
-            if (offlineIndicator) offlineIndicator.style.display = 'block';
+            const time = this.lastSyncedAt ? new Date(this.lastSyncedAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' }) : '';
+            state = 'online';
+            icon = '✓';
+            text = pending > 0 ? `${pending} changes waiting` : `Synced ${time}`.trim();
         }
+
+        syncStatus?.classList.remove('online', 'offline', 'syncing', 'error');
+        syncStatus?.classList.add(state);
+        if (syncIcon) syncIcon.textContent = icon;
+        if (syncText) syncText.textContent = text;
+        if (syncStatus) syncStatus.title = this.syncError ? `Last sync error: ${this.syncError}` : 'Sync settings';
+        if (offlineIndicator) offlineIndicator.style.display = this.isOnline ? 'none' : 'block';
     }
 
     setupBudgetAlerts() {
@@ -2005,130 +3781,2709 @@ class BillRecorder {
     }
 
     setupPaymentTracking() {
-        // Payment tracking setup
+        this.resetTenders();
+        document.getElementById('addTender')?.addEventListener('click', () => this.addTender());
+        document.getElementById('supplyType')?.addEventListener('change', (e) => {
+            this.supplyType = e.target.value;
+        });
+        document.getElementById('openGstSettings')?.addEventListener('click', () => this.openGstSettings());
+        document.getElementById('saveGstSettings')?.addEventListener('click', () => this.saveGstSettings());
+        ['billDiscount', 'billDiscountType', 'couponCode', 'roundOff'].forEach(id => {
+            document.getElementById(id)?.addEventListener(id === 'billDiscount' || id === 'couponCode' ? 'input' : 'change', () => this.readBillDiscount());
+        });
+        this.updatePaymentStats();
+    }
+
+    // Bill Payment Feature - tenders for the bill being built
+    resetTenders(payments = null) {
+        this.tenders = payments && payments.length > 0
+            ? payments.map(payment => ({ ...payment }))
+            : [{ method: 'Cash', amount: null }];
+        this.renderTenders();
+    }
+
+    addTender() {
+        const total = this.getCurrentTotal();
+
+        // Splitting a single tender: it keeps the full total until the user changes it
+        if (this.tenders.length === 1 && this.tenders[0].amount === null) {
+            this.tenders[0].amount = total;
+        }
+        const paid = this.tenders.reduce((sum, tender) => sum + (tender.amount || 0), 0);
+
+        const used = new Set(this.tenders.map(tender => tender.method));
+        const method = PAYMENT_METHODS.find(option => !used.has(option.value))?.value || 'Other';
+        this.tenders.push({ method, amount: Math.max(0, total - paid) });
+        this.renderTenders();
+    }
+
+    removeTender(index) {
+        this.tenders.splice(index, 1);
+        if (this.tenders.length === 1) this.tenders[0].amount = null;
+        this.renderTenders();
+    }
+
+    getCurrentTotal() {
+        return this.calculateBillAmounts(this.products).net;
+    }
+
+    renderTenders() {
+        const container = this.getElement('tendersList');
+        if (!container) return;
+
+        const isSplit = this.tenders.length > 1;
+        container.innerHTML = this.tenders.map((tender, index) => `
+            <div class="tender-row">
+                <select class="filter-dropdown" onchange="window.billRecorder.updateTender(${index}, 'method', this.value)">
+                    ${PAYMENT_METHODS.map(option => `
+                        <option value="${option.value}" ${option.value === tender.method ? 'selected' : ''}>${option.icon} ${option.value}</option>
+                    `).join('')}
+                </select>
+                ${isSplit ? `
+                    <input type="number" class="tender-amount" min="0" step="0.01" value="${tender.amount === null ? '' : this.fromPaise(tender.amount)}"
+                        oninput="window.billRecorder.updateTender(${index}, 'amount', this.value)">
+                    <button type="button" class="remove-product" onclick="window.billRecorder.removeTender(${index})">✕</button>
+                ` : ''}
+            </div>
+        `).join('');
+
+        this.updateTenderRemaining();
     }
 
-    loadFromStorage() {
-        // Load data from localStorage
-        const savedBills = localStorage.getItem('bills');
-        if (savedBills) {
-            this.bills = JSON.parse(savedBills);
+    updateTender(index, field, value) {
+        if (!this.tenders[index]) return;
+        this.tenders[index][field] = field === 'amount' ? this.toPaise(parseFloat(value) || 0) : value;
+
+        // The last tender absorbs whatever the others leave unpaid
+        const lastIndex = this.tenders.length - 1;
+        if (field === 'amount' && index < lastIndex) {
+            const others = this.tenders.slice(0, lastIndex).reduce((sum, tender) => sum + (tender.amount || 0), 0);
+            this.tenders[lastIndex].amount = Math.max(0, this.getCurrentTotal() - others);
+            const lastInput = document.querySelectorAll('#tendersList .tender-amount')[lastIndex];
+            if (lastInput) lastInput.value = this.fromPaise(this.tenders[lastIndex].amount);
         }
 
-        const savedTheme = localStorage.getItem('theme');
-        if (savedTheme) {
-            this.currentTheme = savedTheme;
-            document.documentElement.setAttribute('data-theme', this.currentTheme);
+        this.updateTenderRemaining();
+    }
+
+    updateTenderRemaining() {
+        const remainingEl = document.getElementById('tenderRemaining');
+        if (!remainingEl) return;
+
+        if (this.tenders.length < 2) {
+            remainingEl.textContent = '';
+            remainingEl.className = 'tender-remaining';
+            return;
         }
 
-        const savedColorTheme = localStorage.getItem('colorTheme');
-        if (savedColorTheme) {
-            this.colorTheme = savedColorTheme;
-            document.documentElement.setAttribute('data-theme-color', this.colorTheme);
+        const paid = this.tenders.reduce((sum, tender) => sum + (tender.amount || 0), 0);
+        const remaining = this.getCurrentTotal() - paid;
+        remainingEl.textContent = remaining === 0
+            ? 'Payments match the total'
+            : `${remaining > 0 ? 'Remaining' : 'Over by'}: ${this.formatMoney(Math.abs(remaining), this.billCurrency)}`;
+        remainingEl.className = `tender-remaining ${remaining === 0 ? 'balanced' : 'unbalanced'}`;
+    }
+
+    // Returns the bill's payments, or null (with a message) when split amounts don't add up
+    getBillPayments(total) {
+        if (this.tenders.length === 1) {
+            return [{ method: this.tenders[0].method, amount: total }];
         }
 
-        const savedFontFamily = localStorage.getItem('fontFamily');
-        if (savedFontFamily) {
-            this.fontFamily = savedFontFamily;
-            document.documentElement.setAttribute('data-font', this.fontFamily);
+        if (this.tenders.some(tender => !(tender.amount > 0))) {
+            this.showNotification('Each split payment needs an amount', 'error');
+            return null;
         }
 
-        const savedBudget = localStorage.getItem('monthlyBudget');
-        if (savedBudget) {
-            this.monthlyBudget = parseFloat(savedBudget);
+        const paid = this.tenders.reduce((sum, tender) => sum + tender.amount, 0);
+        if (paid !== total) {
+            this.showNotification(`Payments add up to ${this.formatMoney(paid, this.billCurrency)} but the total is ${this.formatMoney(total, this.billCurrency)}`, 'error');
+            return null;
         }
+
+        return this.tenders.map(tender => ({ method: tender.method, amount: tender.amount }));
     }
 
-    initializeCharts() {
-        // Charts will be initialized when needed
+    // Older bills stored a payment method on every product - turn those into bill tenders
+    derivePayments(bill) {
+        const byMethod = {};
+        bill.products.forEach(product => {
+            const method = product.paymentMethod || 'Other';
+            byMethod[method] = (byMethod[method] || 0) + product.total;
+        });
+        const payments = Object.entries(byMethod).map(([method, amount]) => ({ method, amount }));
+        // A bill discount or round-off comes off the last tender, so the payments match what was paid
+        const lines = payments.reduce((sum, payment) => sum + payment.amount, 0);
+        if (payments.length > 0 && Number.isFinite(bill.total)) payments[payments.length - 1].amount += bill.total - lines;
+        return payments;
     }
 
-    addAnimations() {
-        // Add animations to elements
+    ensureBillPayments(bill) {
+        if (Array.isArray(bill.payments) && bill.payments.length > 0) return false;
+        bill.payments = this.derivePayments(bill);
+        bill.products = bill.products.map(({ paymentMethod, ...product }) => product);
+        return true;
     }
 
-    removeProduct(productId) {
-        this.products = this.products.filter(p => p.id !== productId);
-        this.renderProducts();
-        this.updateTotal();
-        this.showNotification('Product removed', 'info');
+    // Money Feature
+    // Amounts are whole paise (cents for other currencies) from entry to storage; rupees appear only on screen
+    toPaise(amount) {
+        return Math.round(amount * 100);
     }
 
-    updateTotal() {
-        const total = this.products.reduce((sum, product) => sum + product.total, 0);
-        const totalElement = document.getElementById('totalAmount');
-        if (totalElement) {
-            totalElement.textContent = total.toFixed(2);
+    fromPaise(paise) {
+        return paise / 100;
+    }
+
+    formatAmount(paise) {
+        return this.fromPaise(paise).toFixed(2);
+    }
+
+    // Converts the named fields of a record from rupees, leaving missing ones alone
+    convertFieldsToPaise(record, fields) {
+        const converted = { ...record };
+        fields.filter(field => Number.isFinite(record[field])).forEach(field => {
+            converted[field] = this.toPaise(record[field]);
+        });
+        return converted;
+    }
+
+    // Percentages stay as they are; flat discounts are an amount
+    convertDiscountToPaise(discount) {
+        const converted = this.convertFieldsToPaise(discount, ['amount']);
+        if (discount.type === 'flat') converted.value = this.toPaise(discount.value);
+        return converted;
+    }
+
+    convertProductToPaise(product) {
+        const converted = this.convertFieldsToPaise(product, ['price', 'total', 'taxableValue', 'taxAmount']);
+        if (product.discount) converted.discount = this.convertDiscountToPaise(product.discount);
+        return converted;
+    }
+
+    // Amount fields shared by bills and their revisions
+    convertAmountsToPaise(record) {
+        const converted = this.convertFieldsToPaise(record, ['gross', 'roundOff', 'total']);
+        converted.products = record.products.map(product => this.convertProductToPaise(product));
+        if (record.payments) converted.payments = record.payments.map(payment => this.convertFieldsToPaise(payment, ['amount']));
+        if (record.tax) converted.tax = this.convertFieldsToPaise(record.tax, ['taxableValue', 'cgst', 'sgst', 'igst', 'totalTax']);
+        if (record.discount) converted.discount = this.convertDiscountToPaise(record.discount);
+        return converted;
+    }
+
+    convertBillToPaise(bill) {
+        if (bill.minorUnits) return bill;
+        const converted = this.convertAmountsToPaise(bill);
+        if (bill.revisions) converted.revisions = bill.revisions.map(revision => this.convertAmountsToPaise(revision));
+        converted.minorUnits = true;
+        return converted;
+    }
+
+    // Rounding each converted float on its own can leave a bill a few paise away from its lines;
+    // small gaps are settled from the lines, anything bigger is left alone and reported
+    verifyBillTotals(bill) {
+        const lines = bill.products.reduce((sum, product) => sum + product.total, 0);
+        const expected = lines - (bill.discount?.amount || 0) + (bill.roundOff || 0);
+        const payments = bill.payments || [];
+        const paid = payments.reduce((sum, payment) => sum + payment.amount, 0);
+        const tolerance = bill.products.length + payments.length + 2;
+        if (Math.abs(expected - bill.total) > tolerance || (payments.length > 0 && Math.abs(expected - paid) > tolerance)) {
+            return 'mismatch';
         }
+
+        const status = expected === bill.total && (payments.length === 0 || expected === paid) ? 'ok' : 'fixed';
+        bill.total = expected;
+        if (payments.length > 0) payments[payments.length - 1].amount += expected - paid;
+        if (bill.tax) bill.tax = this.calculateBillTax(bill.products, bill.tax.supplyType, bill.discount?.amount);
+        if (Number.isFinite(bill.gross)) {
+            bill.gross = lines + bill.products.reduce((sum, product) => sum + (product.discount?.amount || 0), 0);
+        }
+        return status;
     }
 
-    viewBill(billId) {
-        const bill = this.bills.find(b => b.id === billId);
-        if (!bill) {
-            this.showNotification('Bill not found', 'error');
-            return;
+    // Data saved before amounts were kept in paise holds float rupees
+    async migrateAmountsToPaise(settings) {
+        const fixed = [];
+        const mismatched = [];
+        const convertBill = bill => {
+            if (bill.minorUnits) return bill;
+            const converted = this.convertBillToPaise(bill);
+            const status = this.verifyBillTotals(converted);
+            if (status === 'fixed') fixed.push(bill.id);
+            if (status === 'mismatch') mismatched.push(bill.id);
+            return converted;
+        };
+
+        this.bills = this.bills.map(convertBill);
+        this.trash = this.trash.map(convertBill);
+        this.products = this.products.map(product => this.convertProductToPaise(product));
+        this.catalog = this.catalog.map(entry => this.convertFieldsToPaise(entry, ['lastPrice']));
+        this.pendingSync = this.pendingSync.map(change => {
+            if (!change.bill || change.bill.minorUnits) return change;
+            const bill = this.convertBillToPaise(change.bill);
+            this.verifyBillTotals(bill);
+            return { ...change, bill };
+        });
+        if (settings.monthlyBudget) {
+            this.monthlyBudget = this.toPaise(settings.monthlyBudget);
         }
 
-        // Store the bill data in localStorage for the invoice page
-        localStorage.setItem('currentBill', JSON.stringify(bill));
-        
-        // Redirect to invoice page
-        window.location.href = 'invoice.html';
+        await this.storage.putAll('bills', this.bills);
+        await this.storage.putAll('trash', this.trash);
+        await this.storage.putAll('products', this.products);
+        await this.storage.putAll('catalog', this.catalog);
+        await this.storage.setSetting('monthlyBudget', this.monthlyBudget);
+        await this.storage.setSetting('pendingSync', this.pendingSync);
+        await this.storage.setSetting('amountsInPaise', true);
+
+        if (fixed.length > 0) {
+            console.info('Settled rounding differences on bills:', fixed);
+        }
+        if (mismatched.length > 0) {
+            console.warn('Bill totals that do not match their lines:', mismatched);
+            this.showNotification(`${mismatched.length} bills have totals that don't match their items - please check them`, 'error');
+        }
     }
 
-    printBill(billId) {
-        const bill = this.bills.find(b => b.id === billId);
-        if (bill) {
-            window.print();
-            this.showNotification('Print dialog opened', 'success');
+    // GST Tax Feature
+
+    getCategoryGst(category) {
+        return { rate: 0, hsn: '', ...this.gstRates[category] };
+    }
+
+    // Splits a line amount into taxable value and GST; inclusive amounts already contain the tax
+    calculateLineTax(gross, rate, inclusive) {
+        if (inclusive) {
+            const taxableValue = Math.round(gross * 100 / (100 + rate));
+            return { taxableValue, taxAmount: gross - taxableValue, total: gross };
         }
+
+        const taxAmount = Math.round(gross * rate / 100);
+        return { taxableValue: gross, taxAmount, total: gross + taxAmount };
     }
 
-    deleteBill(billId) {
-        if (confirm('Are you sure you want to delete this bill?')) {
-            this.bills = this.bills.filter(b => b.id !== billId);
-            localStorage.setItem('bills', JSON.stringify(this.bills));
-            this.loadBills();
-            this.updateDashboard();
-            this.showNotification('Bill deleted successfully', 'success');
+    // Splits a bill discount across lines in proportion to their totals; the last line takes the rounding
+    apportionBillDiscount(products, billDiscount) {
+        const subtotal = products.reduce((sum, product) => sum + product.total, 0);
+        let remaining = billDiscount;
+        return products.map((product, index) => {
+            const share = index === products.length - 1 ? remaining : Math.round(subtotal ? billDiscount * product.total / subtotal : 0);
+            remaining -= share;
+            return share;
+        });
+    }
+
+    // Intra-state supplies split GST equally into CGST and SGST, inter-state supplies pay IGST;
+    // bills with no GST rate on any line carry no tax summary
+    calculateBillTax(products, supplyType = 'intra', billDiscount = 0) {
+        if (!products.some(product => product.taxRate)) return null;
+
+        // The bill discount lowers each line's taxable value and tax, so the summary adds up to the discounted total
+        const shares = this.apportionBillDiscount(products, billDiscount);
+        const groups = {};
+        products.forEach((product, index) => {
+            const total = product.total - shares[index];
+            const taxAmount = product.total ? Math.round((product.taxAmount || 0) * total / product.total) : 0;
+            const key = `${product.hsn || ''}|${product.taxRate || 0}`;
+            if (!groups[key]) groups[key] = { hsn: product.hsn || '', rate: product.taxRate || 0, taxableValue: 0, taxAmount: 0 };
+            groups[key].taxableValue += total - taxAmount;
+            groups[key].taxAmount += taxAmount;
+        });
+
+        const lines = Object.values(groups);
+        const taxableValue = lines.reduce((sum, group) => sum + group.taxableValue, 0);
+        const totalTax = lines.reduce((sum, group) => sum + group.taxAmount, 0);
+
+        if (supplyType === 'inter') {
+            return { supplyType, taxableValue, cgst: 0, sgst: 0, igst: totalTax, totalTax, groups: lines };
         }
+
+        const cgst = Math.round(totalTax / 2);
+        return { supplyType, taxableValue, cgst, sgst: totalTax - cgst, igst: 0, totalTax, groups: lines };
     }
 
-    addProduct() {
-        if (this.isLocked) {
-            this.showPinModal();
+    setSupplyType(supplyType) {
+        this.supplyType = supplyType;
+        const select = document.getElementById('supplyType');
+        if (select) select.value = supplyType;
+    }
+
+    openGstSettings() {
+        const categories = this.categories.filter(category => !category.archived).map(category => category.name);
+        const container = document.getElementById('gstSettingsList');
+        container.innerHTML = categories.map(category => {
+            const gst = this.getCategoryGst(category);
+            return `
+                <div class="gst-settings-row" data-category="${this.escapeHtml(category)}">
+                    <span>${this.escapeHtml(category)}</span>
+                    <select class="filter-dropdown gst-rate-select">
+                        ${GST_RATES.map(rate => `<option value="${rate}" ${rate === gst.rate ? 'selected' : ''}>${rate}%</option>`).join('')}
+                    </select>
+                    <input type="text" class="gst-hsn-input" placeholder="HSN/SAC" maxlength="8" value="${this.escapeHtml(gst.hsn)}">
+                </div>
+            `;
+        }).join('');
+        this.showModal('gstSettingsModal');
+    }
+
+    async saveGstSettings() {
+        const gstRates = {};
+        document.querySelectorAll('#gstSettingsList .gst-settings-row').forEach(row => {
+            const rate = parseFloat(row.querySelector('.gst-rate-select').value);
+            const hsn = row.querySelector('.gst-hsn-input').value.trim();
+            if (rate || hsn) gstRates[row.dataset.category] = { rate, hsn };
+        });
+
+        if (Object.values(gstRates).some(gst => gst.hsn && !/^\d{4,8}$/.test(gst.hsn))) {
+            this.showNotification('HSN/SAC codes are 4 to 8 digits', 'error');
             return;
         }
-        
-        // Instant product addition - no delays
-        const productName = document.getElementById('productName').value.trim();
-        const price = parseFloat(document.getElementById('price').value);
-        const quantity = parseInt(document.getElementById('quantity').value);
-        const category = document.getElementById('category').value;
-        const paymentMethod = document.getElementById('paymentMethod').value;
 
-        if (!productName || !price || !quantity) {
-            this.showNotification('Please fill all fields correctly', 'error');
+        this.gstRates = gstRates;
+        try {
+            await this.storage.setSetting('gstRates', gstRates);
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+        this.hideModal('gstSettingsModal');
+        this.showNotification('GST rates saved', 'success');
+    }
+
+    // Vendor Directory Feature
+    setupVendorDirectory() {
+        document.getElementById('openVendors')?.addEventListener('click', () => this.openVendors());
+        document.getElementById('saveVendor')?.addEventListener('click', () => this.saveVendor());
+        document.getElementById('resetVendorForm')?.addEventListener('click', () => this.resetVendorForm());
+        this.renderVendorOptions();
+    }
+
+    getVendor(vendorId) {
+        return this.vendors.find(vendor => vendor.id === vendorId) || null;
+    }
+
+    findVendorByName(name) {
+        const key = name.trim().toLowerCase();
+        return this.vendors.find(vendor => vendor.name.toLowerCase() === key) || null;
+    }
+
+    // Directory name when the vendor still exists, otherwise the name saved with the bill
+    getBillVendorName(bill) {
+        return this.getVendor(bill.vendorId)?.name || bill.vendorName || '';
+    }
+
+    // Vendor fields for the bill being saved; unknown names are added to the directory
+    resolveBillVendor(name = document.getElementById('billVendor')?.value.trim() || '') {
+        if (!name) return { vendorId: null, vendorName: '' };
+
+        let vendor = this.findVendorByName(name);
+        if (!vendor) {
+            vendor = { id: Date.now(), name, address: '', gstin: '', phone: '', createdAt: new Date().toISOString() };
+            this.vendors.push(vendor);
+            this.storage.put('vendors', vendor).catch(error => this.handleStorageError(error));
+            this.renderVendorOptions();
+        }
+        return { vendorId: vendor.id, vendorName: vendor.name };
+    }
+
+    setBillVendor(name) {
+        const input = document.getElementById('billVendor');
+        if (input) input.value = name;
+    }
+
+    // Comma separated, stored lowercase without duplicates
+    readBillTags() {
+        const value = document.getElementById('billTags')?.value || '';
+        return [...new Set(value.split(',').map(tag => tag.trim().replace(/^#/, '').toLowerCase()).filter(Boolean))];
+    }
+
+    setBillTags(tags) {
+        const input = document.getElementById('billTags');
+        if (input) input.value = tags.join(', ');
+    }
+
+    // Autocomplete list on the bill and the vendor entries of the bill history filter
+    renderVendorOptions() {
+        const vendors = this.vendors.slice().sort((a, b) => a.name.localeCompare(b.name));
+
+        const datalist = document.getElementById('vendorOptions');
+        if (datalist) {
+            datalist.innerHTML = vendors.map(vendor => `<option value="${this.escapeHtml(vendor.name)}"></option>`).join('');
+        }
+
+        const vendorFilter = document.getElementById('billVendorFilter');
+        if (vendorFilter) {
+            vendorFilter.innerHTML = '<option value="all">All Vendors</option>' +
+                vendors.map(vendor => `<option value="${vendor.id}">🏪 ${this.escapeHtml(vendor.name)}</option>`).join('');
+            vendorFilter.hidden = vendors.length === 0;
+            // Keep the current choice unless its vendor was removed
+            vendorFilter.value = this.billVendorId ?? 'all';
+            if (this.billVendorId !== null && vendorFilter.value === 'all') {
+                this.filterBillsByVendor('all');
+            }
+        }
+    }
+
+    openVendors() {
+        this.resetVendorForm();
+        this.renderVendorDirectory();
+        this.showModal('vendorModal');
+    }
+
+    renderVendorDirectory() {
+        const container = document.getElementById('vendorList');
+        if (!container) return;
+
+        if (this.vendors.length === 0) {
+            container.innerHTML = '<p class="import-hint">No vendors yet. Add one below or type a new name on a bill.</p>';
+            return;
+        }
+
+        container.innerHTML = this.vendors.slice().sort((a, b) => a.name.localeCompare(b.name)).map(vendor => {
+            const billCount = this.bills.filter(bill => bill.vendorId === vendor.id).length;
+            const details = [vendor.address, vendor.gstin && `GSTIN ${vendor.gstin}`, vendor.phone].filter(Boolean).map(detail => this.escapeHtml(detail));
+            return `
+                <div class="vendor-item">
+                    <div>
+                        <strong>${this.escapeHtml(vendor.name)}</strong>
+                        <div class="import-hint">${details.length ? details.join(' • ') : 'No details yet'} • ${billCount} bill${billCount === 1 ? '' : 's'}</div>
+                    </div>
+                    <div class="bill-actions">
+                        <button type="button" class="btn btn-secondary btn-small" onclick="window.billRecorder.editVendor(${vendor.id})">✏️ Edit</button>
+                        <button type="button" class="remove-product" onclick="window.billRecorder.deleteVendor(${vendor.id})">🗑️</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    editVendor(vendorId) {
+        const vendor = this.getVendor(vendorId);
+        if (!vendor) return;
+
+        this.editingVendorId = vendorId;
+        document.getElementById('vendorName').value = vendor.name;
+        document.getElementById('vendorAddress').value = vendor.address || '';
+        document.getElementById('vendorGstin').value = vendor.gstin || '';
+        document.getElementById('vendorPhone').value = vendor.phone || '';
+        document.getElementById('saveVendor').textContent = 'Update Vendor';
+        document.getElementById('vendorName').focus();
+    }
+
+    resetVendorForm() {
+        this.editingVendorId = null;
+        ['vendorName', 'vendorAddress', 'vendorGstin', 'vendorPhone'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        const saveButton = document.getElementById('saveVendor');
+        if (saveButton) saveButton.textContent = 'Add Vendor';
+    }
+
+    async saveVendor() {
+        const name = document.getElementById('vendorName').value.trim();
+        const address = document.getElementById('vendorAddress').value.trim();
+        const gstin = document.getElementById('vendorGstin').value.trim().toUpperCase();
+        const phone = document.getElementById('vendorPhone').value.trim();
+
+        if (!name) {
+            this.showNotification('Please enter the vendor name', 'error');
+            return;
+        }
+        const sameName = this.findVendorByName(name);
+        if (sameName && sameName.id !== this.editingVendorId) {
+            this.showNotification(`${sameName.name} is already in the directory`, 'error');
+            return;
+        }
+        // 2-digit state code, 10-character PAN, entity number, Z, check character
+        if (gstin && !/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/.test(gstin)) {
+            this.showNotification('GSTIN should be 15 characters, e.g. 29ABCDE1234F1Z5', 'error');
+            return;
+        }
+        if (phone && !/^\+?[\d\s-]{7,15}$/.test(phone)) {
+            this.showNotification('Please enter a valid phone number', 'error');
+            return;
+        }
+
+        const existing = this.getVendor(this.editingVendorId);
+        const vendor = {
+            ...existing,
+            id: existing ? existing.id : Date.now(),
+            name, address, gstin, phone,
+            createdAt: existing?.createdAt || new Date().toISOString()
+        };
+
+        try {
+            await this.storage.put('vendors', vendor);
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.vendors = existing
+            ? this.vendors.map(item => item.id === vendor.id ? vendor : item)
+            : [...this.vendors, vendor];
+
+        this.showNotification(existing ? 'Vendor updated' : 'Vendor added', 'success');
+        this.resetVendorForm();
+        this.renderVendorDirectory();
+        this.renderVendorOptions();
+        this.loadBills();
+    }
+
+    // Bills keep the vendor name they were saved with
+    async deleteVendor(vendorId) {
+        const vendor = this.getVendor(vendorId);
+        if (!vendor || !confirm(`Remove ${vendor.name} from the vendor directory?`)) return;
+
+        try {
+            await this.storage.delete('vendors', vendorId);
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.vendors = this.vendors.filter(item => item.id !== vendorId);
+        if (this.editingVendorId === vendorId) this.resetVendorForm();
+        this.renderVendorDirectory();
+        this.renderVendorOptions();
+        this.showNotification('Vendor removed', 'success');
+    }
+
+    // Product Catalog Feature
+    setupProductCatalog() {
+        document.getElementById('productName')?.addEventListener('input', (e) => this.applyCatalogEntry(e.target.value));
+        document.getElementById('openCatalog')?.addEventListener('click', () => this.openCatalog());
+        document.getElementById('saveCatalogEntry')?.addEventListener('click', () => this.saveCatalogEntry());
+        document.getElementById('resetCatalogForm')?.addEventListener('click', () => this.resetCatalogForm());
+        document.getElementById('mergeCatalogEntries')?.addEventListener('click', () => this.mergeCatalogEntries());
+        this.renderCatalogOptions();
+    }
+
+    // Devanagari names match their English-letter spelling
+    normalizeProductName(name) {
+        return this.voiceParser.transliterate(name).trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    // Matches the entry's name or any spelling merged into it
+    findCatalogEntry(name) {
+        const key = this.normalizeProductName(name);
+        if (!key) return null;
+        return this.catalog.find(entry =>
+            this.normalizeProductName(entry.name) === key ||
+            entry.aliases.some(alias => this.normalizeProductName(alias) === key)
+        ) || null;
+    }
+
+    findCatalogEntryByBarcode(code) {
+        return this.catalog.find(entry => entry.barcode === code) || null;
+    }
+
+    // Most often bought quantity
+    getUsualQuantity(quantityCounts) {
+        return Number(Object.keys(quantityCounts).sort((a, b) => quantityCounts[b] - quantityCounts[a])[0]) || 1;
+    }
+
+    // Remember price, quantity and category of every product on the given bills
+    recordCatalogBills(bills) {
+        const changed = new Map();
+        bills.slice().sort((a, b) => new Date(a.date) - new Date(b.date)).forEach(bill => {
+            bill.products.forEach(product => {
+                let entry = this.findCatalogEntry(product.name);
+                if (!entry) {
+                    entry = { id: Date.now() + this.catalog.length, name: product.name.trim(), aliases: [], quantityCounts: {}, timesBought: 0 };
+                    this.catalog.push(entry);
+                }
+                // Kept in the base currency; foreign-currency bills are converted with their own rate
+                entry.lastPrice = this.toBaseAmount(bill, product.price);
+                entry.unit = product.unit || '';
+                entry.category = product.category || 'General';
+                entry.quantityCounts[product.quantity] = (entry.quantityCounts[product.quantity] || 0) + 1;
+                entry.usualQuantity = this.getUsualQuantity(entry.quantityCounts);
+                entry.timesBought += 1;
+                entry.lastBoughtAt = bill.date;
+                changed.set(entry.id, entry);
+            });
+        });
+
+        if (changed.size === 0) return;
+        this.storage.putAll('catalog', [...changed.values()]).catch(error => this.handleStorageError(error));
+        this.renderCatalogOptions();
+    }
+
+    // One-time catalog seeding from the bills recorded before the catalog existed
+    async buildCatalogFromBills() {
+        this.recordCatalogBills(this.bills);
+        await this.storage.setSetting('catalogBuilt', true);
+        await this.storage.setSetting('catalogInBaseCurrency', true);
+    }
+
+    // Catalogs built before prices were kept in the base currency hold a foreign-currency bill's own price
+    async convertCatalogPrices() {
+        const changed = new Map();
+        this.bills.filter(bill => bill.exchangeRate).forEach(bill => {
+            bill.products.forEach(product => {
+                const entry = this.findCatalogEntry(product.name);
+                if (!entry || entry.lastBoughtAt !== bill.date) return;
+                entry.lastPrice = this.toBaseAmount(bill, product.price);
+                changed.set(entry.id, entry);
+            });
+        });
+        await this.storage.putAll('catalog', [...changed.values()]);
+        await this.storage.setSetting('catalogInBaseCurrency', true);
+    }
+
+    // A catalog price in the current bill's currency, or null when there is no rate for today
+    getCatalogPrice(entry) {
+        const exchangeRate = this.findExchangeRate(this.billCurrency, new Date());
+        return exchangeRate ? Math.round(entry.lastPrice / exchangeRate.rate) : null;
+    }
+
+    renderCatalogOptions() {
+        const datalist = document.getElementById('catalogOptions');
+        if (!datalist) return;
+
+        datalist.innerHTML = this.catalog.slice()
+            .sort((a, b) => b.timesBought - a.timesBought)
+            .map(entry => `<option value="${this.escapeHtml(entry.name)}">${this.formatMoney(entry.lastPrice)} • ${this.escapeHtml(entry.category)}</option>`)
+            .join('');
+    }
+
+    // Fill the form from the catalog when the typed name is a known product
+    applyCatalogEntry(name) {
+        if (this.editingProductId !== null) return;
+
+        const entry = this.findCatalogEntry(name);
+        if (!entry) return;
+        this.fillCatalogEntry(entry, name);
+    }
+
+    fillCatalogEntry(entry, name = entry.name) {
+        // A merged spelling is replaced by the catalog name
+        if (this.normalizeProductName(entry.name) !== this.normalizeProductName(name)) {
+            document.getElementById('productName').value = entry.name;
+        }
+        const price = this.getCatalogPrice(entry);
+        document.getElementById('price').value = price === null ? '' : this.fromPaise(price);
+        document.getElementById('quantity').value = entry.usualQuantity;
+        document.getElementById('unit').value = entry.unit || '';
+        this.renderCategoryOptions(entry.category);
+    }
+
+    openCatalog() {
+        this.resetCatalogForm();
+        this.renderCatalogList();
+        this.showModal('catalogModal');
+    }
+
+    renderCatalogList() {
+        const container = document.getElementById('catalogList');
+        if (!container) return;
+
+        if (this.catalog.length === 0) {
+            container.innerHTML = '<p class="import-hint">The catalog fills up as you generate bills.</p>';
+            return;
+        }
+
+        container.innerHTML = this.catalog.slice().sort((a, b) => a.name.localeCompare(b.name)).map(entry => `
+            <div class="catalog-item">
+                <label class="catalog-select">
+                    <input type="checkbox" value="${entry.id}">
+                    <span>
+                        <strong>${this.escapeHtml(entry.name)}</strong>
+                        <span class="import-hint">
+                            ${this.formatMoney(entry.lastPrice)} × ${entry.usualQuantity} • ${this.escapeHtml(entry.category)} • bought ${entry.timesBought}×
+                            ${entry.barcode ? `• 🏷️ ${entry.barcode}` : ''}
+                            ${entry.aliases.length ? `<br>Also: ${entry.aliases.map(alias => this.escapeHtml(alias)).join(', ')}` : ''}
+                        </span>
+                    </span>
+                </label>
+                <div class="bill-actions">
+                    <button type="button" class="btn btn-secondary btn-small" onclick="window.billRecorder.editCatalogEntry(${entry.id})">✏️ Edit</button>
+                    <button type="button" class="remove-product" onclick="window.billRecorder.deleteCatalogEntry(${entry.id})">🗑️</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    editCatalogEntry(entryId) {
+        const entry = this.catalog.find(item => item.id === entryId);
+        if (!entry) return;
+
+        this.editingCatalogId = entryId;
+        document.getElementById('catalogName').value = entry.name;
+        document.getElementById('catalogAliases').value = entry.aliases.join(', ');
+        document.getElementById('catalogPrice').value = this.fromPaise(entry.lastPrice);
+        document.getElementById('catalogQuantity').value = entry.usualQuantity;
+        document.getElementById('catalogCategory').value = entry.category;
+        document.getElementById('catalogBarcode').value = entry.barcode || '';
+        document.getElementById('saveCatalogEntry').textContent = 'Update Product';
+        document.getElementById('catalogName').focus();
+    }
+
+    resetCatalogForm() {
+        this.editingCatalogId = null;
+        this.pendingBarcode = null;
+        ['catalogName', 'catalogAliases', 'catalogPrice', 'catalogBarcode'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+        const quantityInput = document.getElementById('catalogQuantity');
+        if (quantityInput) quantityInput.value = 1;
+        const categorySelect = document.getElementById('catalogCategory');
+        if (categorySelect) {
+            categorySelect.innerHTML = this.categories.map(category => `
+                <option value="${this.escapeHtml(category.name)}">${category.icon} ${this.escapeHtml(category.name)}</option>
+            `).join('');
+            categorySelect.value = this.categories.some(category => category.name === 'General') ? 'General' : this.categories[0]?.name;
+        }
+        const saveButton = document.getElementById('saveCatalogEntry');
+        if (saveButton) saveButton.textContent = 'Add Product';
+    }
+
+    async saveCatalogEntry() {
+        const name = document.getElementById('catalogName').value.trim();
+        const aliases = document.getElementById('catalogAliases').value.split(',').map(alias => alias.trim()).filter(Boolean);
+        const price = parseFloat(document.getElementById('catalogPrice').value);
+        const quantity = parseInt(document.getElementById('catalogQuantity').value);
+        const category = document.getElementById('catalogCategory').value;
+        const barcodeValue = document.getElementById('catalogBarcode').value.trim();
+        const barcode = barcodeValue ? this.barcodeScanner.normalizeCode(barcodeValue) : '';
+
+        if (!name || !Number.isFinite(price) || price < 0 || !(quantity > 0)) {
+            this.showNotification('Please enter a name, price and quantity', 'error');
+            return;
+        }
+        if (barcodeValue && !this.barcodeScanner.isValidCode(barcode)) {
+            this.showNotification('Please enter a valid 8 or 13 digit barcode', 'error');
+            return;
+        }
+
+        const barcodeOwner = barcode ? this.findCatalogEntryByBarcode(barcode) : null;
+        if (barcodeOwner && barcodeOwner.id !== this.editingCatalogId) {
+            this.showNotification(`${barcodeOwner.name} already has that barcode`, 'error');
+            return;
+        }
+
+        // Names and spellings may only belong to one entry
+        const clash = [name, ...aliases].map(value => this.findCatalogEntry(value)).find(entry => entry && entry.id !== this.editingCatalogId);
+        if (clash) {
+            this.showNotification(`${clash.name} already uses that name`, 'error');
+            return;
+        }
+
+        const existing = this.catalog.find(item => item.id === this.editingCatalogId);
+        const entry = {
+            quantityCounts: {},
+            timesBought: 0,
+            ...existing,
+            id: existing ? existing.id : Date.now(),
+            name: name,
+            aliases: aliases.filter(alias => this.normalizeProductName(alias) !== this.normalizeProductName(name)),
+            lastPrice: this.toPaise(price),
+            usualQuantity: quantity,
+            category: category,
+            barcode: barcode
+        };
+
+        try {
+            await this.storage.put('catalog', entry);
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.catalog = existing
+            ? this.catalog.map(item => item.id === entry.id ? entry : item)
+            : [...this.catalog, entry];
+
+        this.showNotification(existing ? 'Product updated' : 'Product added to catalog', 'success');
+        const scanned = barcode && barcode === this.pendingBarcode;
+        this.resetCatalogForm();
+        this.renderCatalogList();
+        this.renderCatalogOptions();
+
+        // A product created for a scanned code goes straight onto the bill form
+        if (scanned) {
+            this.hideModal('catalogModal');
+            this.applyBarcodeEntry(entry);
+        }
+    }
+
+    async deleteCatalogEntry(entryId) {
+        const entry = this.catalog.find(item => item.id === entryId);
+        if (!entry || !confirm(`Remove ${entry.name} from the catalog?`)) return;
+
+        try {
+            await this.storage.delete('catalog', entryId);
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.catalog = this.catalog.filter(item => item.id !== entryId);
+        if (this.editingCatalogId === entryId) this.resetCatalogForm();
+        this.renderCatalogList();
+        this.renderCatalogOptions();
+    }
+
+    // The most bought entry keeps its name; the other names become its spellings
+    async mergeCatalogEntries() {
+        const selectedIds = [...document.querySelectorAll('#catalogList input[type="checkbox"]:checked')].map(input => parseInt(input.value));
+        const entries = this.catalog.filter(entry => selectedIds.includes(entry.id));
+        if (entries.length < 2) {
+            this.showNotification('Select at least two products to merge', 'error');
+            return;
+        }
+
+        const [target, ...others] = entries.sort((a, b) => b.timesBought - a.timesBought);
+        const latest = entries.reduce((newest, entry) => (entry.lastBoughtAt || '') > (newest.lastBoughtAt || '') ? entry : newest);
+        const quantityCounts = {};
+        entries.forEach(entry => {
+            Object.entries(entry.quantityCounts).forEach(([quantity, count]) => {
+                quantityCounts[quantity] = (quantityCounts[quantity] || 0) + count;
+            });
+        });
+
+        const merged = {
+            ...target,
+            aliases: [...new Set([...target.aliases, ...others.flatMap(entry => [entry.name, ...entry.aliases])])],
+            lastPrice: latest.lastPrice,
+            lastBoughtAt: latest.lastBoughtAt,
+            // Keep a scanned code even when it was stored on one of the merged spellings
+            barcode: target.barcode || others.find(entry => entry.barcode)?.barcode || '',
+            quantityCounts: quantityCounts,
+            usualQuantity: Object.keys(quantityCounts).length ? this.getUsualQuantity(quantityCounts) : target.usualQuantity,
+            timesBought: entries.reduce((sum, entry) => sum + entry.timesBought, 0)
+        };
+
+        try {
+            await this.storage.put('catalog', merged);
+            await Promise.all(others.map(entry => this.storage.delete('catalog', entry.id)));
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        const otherIds = new Set(others.map(entry => entry.id));
+        this.catalog = this.catalog.filter(entry => !otherIds.has(entry.id)).map(entry => entry.id === merged.id ? merged : entry);
+        this.renderCatalogList();
+        this.renderCatalogOptions();
+        this.showNotification(`Merged ${entries.length} products into ${merged.name}`, 'success');
+    }
+
+    // Category Manager Feature
+    setupCategoryManager() {
+        document.getElementById('openCategories')?.addEventListener('click', () => this.openCategoryManager());
+        document.getElementById('saveCategories')?.addEventListener('click', () => this.saveCategoryChanges());
+        document.getElementById('addCategory')?.addEventListener('click', () => this.addCategory());
+        document.getElementById('mergeCategories')?.addEventListener('click', () => this.mergeCategories());
+        this.renderCategoryOptions();
+    }
+
+    getCategory(name) {
+        return this.categories.find(category => category.name === name) || { name, color: '#6b7280', icon: '🏷️', archived: false };
+    }
+
+    getCategoryColor(name) {
+        return this.getCategory(name).color;
+    }
+
+    formatCategory(name) {
+        return `${this.getCategory(name).icon} ${this.escapeHtml(name)}`;
+    }
+
+    // Archived categories stay on old bills but are not offered for new products
+    renderCategoryOptions(selected = null) {
+        const select = this.getElement('category');
+        if (!select) return;
+
+        const current = selected || select.value;
+        const options = this.categories.filter(category => !category.archived || category.name === current);
+        select.innerHTML = options.map(category => `
+            <option value="${this.escapeHtml(category.name)}">${category.icon} ${this.escapeHtml(category.name)}${category.archived ? ' (archived)' : ''}</option>
+        `).join('');
+        select.value = options.some(category => category.name === current) ? current : (options[0]?.name || '');
+    }
+
+    // Categories that only exist on imported or synced bills get an entry of their own
+    addMissingCategories(bills) {
+        const known = new Set(this.categories.map(category => category.name));
+        let added = false;
+        bills.forEach(bill => {
+            bill.products.forEach(product => {
+                if (!product.category || known.has(product.category)) return;
+                known.add(product.category);
+                this.categories.push({
+                    name: product.category,
+                    color: CATEGORY_PALETTE[this.categories.length % CATEGORY_PALETTE.length],
+                    icon: '🏷️',
+                    archived: false
+                });
+                added = true;
+            });
+        });
+
+        if (added) {
+            this.storage.setSetting('categories', this.categories).catch(error => this.handleStorageError(error));
+            this.renderCategoryOptions();
+        }
+        return added;
+    }
+
+    openCategoryManager() {
+        this.renderCategoryManager();
+        this.showModal('categoryModal');
+    }
+
+    renderCategoryManager() {
+        const container = document.getElementById('categoryList');
+        if (!container) return;
+
+        const usage = {};
+        this.bills.forEach(bill => {
+            bill.products.forEach(product => {
+                usage[product.category] = (usage[product.category] || 0) + 1;
+            });
+        });
+
+        container.innerHTML = this.categories.map(category => `
+            <div class="category-row ${category.archived ? 'archived' : ''}" data-original="${this.escapeHtml(category.name)}">
+                <input type="checkbox" class="category-merge" title="Select to merge">
+                <input type="text" class="category-icon-input" value="${this.escapeHtml(category.icon)}" maxlength="4">
+                <input type="text" class="category-name-input" value="${this.escapeHtml(category.name)}">
+                <input type="color" class="category-color-input" value="${category.color}">
+                <label class="category-archive">
+                    <input type="checkbox" class="category-archived" ${category.archived ? 'checked' : ''}>
+                    Archived
+                </label>
+                <span class="import-hint">${usage[category.name] || 0} items</span>
+            </div>
+        `).join('');
+
+        const mergeTarget = document.getElementById('mergeCategoryTarget');
+        if (mergeTarget) {
+            mergeTarget.innerHTML = this.categories.map(category => `
+                <option value="${this.escapeHtml(category.name)}">${category.icon} ${this.escapeHtml(category.name)}</option>
+            `).join('');
+        }
+    }
+
+    // Reads the manager rows; returns null (with a message) when names are missing or repeated
+    readCategoryRows() {
+        const categories = [];
+        const renames = {};
+        const seen = new Set();
+
+        for (const row of document.querySelectorAll('#categoryList .category-row')) {
+            const name = row.querySelector('.category-name-input').value.trim();
+            if (!name) {
+                this.showNotification('Category names cannot be empty', 'error');
+                return null;
+            }
+            if (seen.has(name.toLowerCase())) {
+                this.showNotification(`There are two categories named ${name}; use Merge to combine them`, 'error');
+                return null;
+            }
+            seen.add(name.toLowerCase());
+
+            categories.push({
+                name: name,
+                icon: row.querySelector('.category-icon-input').value.trim() || '🏷️',
+                color: row.querySelector('.category-color-input').value,
+                archived: row.querySelector('.category-archived').checked
+            });
+            if (row.dataset.original !== name) renames[row.dataset.original] = name;
+        }
+
+        return { categories, renames };
+    }
+
+    async saveCategoryChanges() {
+        const rows = this.readCategoryRows();
+        if (!rows) return;
+
+        if (await this.applyCategoryChanges(rows.categories, rows.renames)) {
+            this.renderCategoryManager();
+            this.showNotification('Categories saved', 'success');
+        }
+    }
+
+    async addCategory() {
+        const nameInput = document.getElementById('newCategoryName');
+        const name = nameInput.value.trim();
+        const rows = this.readCategoryRows();
+        if (!rows) return;
+
+        if (!name) {
+            this.showNotification('Please enter a category name', 'error');
+            return;
+        }
+        if (rows.categories.some(category => category.name.toLowerCase() === name.toLowerCase())) {
+            this.showNotification(`${name} already exists`, 'error');
+            return;
+        }
+
+        rows.categories.push({
+            name: name,
+            icon: document.getElementById('newCategoryIcon').value.trim() || '🏷️',
+            color: document.getElementById('newCategoryColor').value,
+            archived: false
+        });
+
+        if (await this.applyCategoryChanges(rows.categories, rows.renames)) {
+            nameInput.value = '';
+            document.getElementById('newCategoryIcon').value = '';
+            this.renderCategoryManager();
+            this.showNotification(`Category ${name} added`, 'success');
+        }
+    }
+
+    // Moves every item of the ticked categories into the chosen one
+    async mergeCategories() {
+        const rows = this.readCategoryRows();
+        if (!rows) return;
+
+        const target = rows.renames[document.getElementById('mergeCategoryTarget').value] || document.getElementById('mergeCategoryTarget').value;
+        const sources = [...document.querySelectorAll('#categoryList .category-row')]
+            .filter(row => row.querySelector('.category-merge').checked)
+            .map(row => row.querySelector('.category-name-input').value.trim())
+            .filter(name => name !== target);
+
+        if (sources.length === 0) {
+            this.showNotification('Tick the categories to merge into ' + target, 'error');
+            return;
+        }
+        if (!confirm(`Merge ${sources.join(', ')} into ${target}? Their items on all bills move to ${target}.`)) return;
+
+        // Save pending edits first so the merge works on the final names
+        if (!await this.applyCategoryChanges(rows.categories, rows.renames)) return;
+
+        const merges = {};
+        sources.forEach(source => { merges[source] = target; });
+        const remaining = rows.categories.filter(category => !sources.includes(category.name));
+        if (await this.applyCategoryChanges(remaining, merges)) {
+            this.renderCategoryManager();
+            this.showNotification(`Merged ${sources.length + 1} categories into ${target}`, 'success');
+        }
+    }
+
+    // Saves the category list and moves renamed categories on bills, trash, catalog, recurring bills, GST rates and budgets
+    async applyCategoryChanges(categories, renames) {
+        const rename = name => (Object.prototype.hasOwnProperty.call(renames, name) ? renames[name] : name);
+        const renameProducts = products => products.map(product => ({ ...product, category: rename(product.category) }));
+        const usesRenamed = products => products.some(product => Object.prototype.hasOwnProperty.call(renames, product.category));
+        const renameBill = bill => ({
+            ...bill,
+            products: renameProducts(bill.products),
+            ...(bill.revisions && { revisions: bill.revisions.map(revision => ({ ...revision, products: renameProducts(revision.products) })) })
+        });
+
+        const changedBills = this.bills.filter(bill => usesRenamed(bill.products)).map(renameBill);
+        const changedTrash = this.trash.filter(bill => usesRenamed(bill.products)).map(renameBill);
+        const changedCatalog = this.catalog.filter(entry => Object.prototype.hasOwnProperty.call(renames, entry.category))
+            .map(entry => ({ ...entry, category: rename(entry.category) }));
+        const changedRecurring = this.recurringBills.filter(template => Object.prototype.hasOwnProperty.call(renames, template.category))
+            .map(template => ({ ...template, category: rename(template.category) }));
+
+        // Merged categories share the sum of their budgets
+        const budgetHistory = {};
+        Object.entries(this.budgetHistory).forEach(([month, budget]) => {
+            const budgetCategories = {};
+            Object.entries(budget.categories).forEach(([category, amount]) => {
+                budgetCategories[rename(category)] = (budgetCategories[rename(category)] || 0) + amount;
+            });
+            budgetHistory[month] = { ...budget, categories: budgetCategories };
+        });
+
+        const gstRates = {};
+        Object.entries(this.gstRates).forEach(([category, gst]) => {
+            // On a merge the target keeps its own rate
+            if (!gstRates[rename(category)] || rename(category) === category) gstRates[rename(category)] = gst;
+        });
+
+        const products = renameProducts(this.products);
+        const stashedProducts = renameProducts(this.stashedProducts);
+
+        try {
+            await this.storage.putAll('bills', changedBills);
+            await this.storage.putAll('trash', changedTrash);
+            await this.storage.putAll('catalog', changedCatalog);
+            await this.storage.putAll('recurring', changedRecurring);
+            await this.storage.putAll('products', this.editingBillId ? stashedProducts : products);
+            await this.storage.setSetting('gstRates', gstRates);
+            await this.storage.setSetting('budgetHistory', budgetHistory);
+            await this.storage.setSetting('categories', categories);
+        } catch (error) {
+            this.handleStorageError(error);
+            return false;
+        }
+
+        const replace = (list, changed) => list.map(item => changed.find(updated => updated.id === item.id) || item);
+        this.bills = replace(this.bills, changedBills);
+        this.trash = replace(this.trash, changedTrash);
+        this.catalog = replace(this.catalog, changedCatalog);
+        this.recurringBills = replace(this.recurringBills, changedRecurring);
+        this.budgetHistory = budgetHistory;
+        this.products = products;
+        this.stashedProducts = stashedProducts;
+        this.gstRates = gstRates;
+        this.categories = categories;
+
+        if (changedBills.length > 0) {
+            changedBills.forEach(bill => this.appendSyncChange('update', bill));
+            this.savePendingSync();
+            this.syncPendingData();
+        }
+
+        const categorySelect = this.getElement('category');
+        this.renderCategoryOptions(categorySelect ? rename(categorySelect.value) : null);
+        this.renderProducts();
+        this.renderCatalogOptions();
+        this.loadBills();
+        this.updateDashboard();
+        return true;
+    }
+
+    // Currency Feature
+    setupCurrencies() {
+        document.getElementById('billCurrency')?.addEventListener('change', (e) => this.setBillCurrency(e.target.value));
+        document.getElementById('openExchangeRates')?.addEventListener('click', () => this.openExchangeRates());
+        document.getElementById('addExchangeRate')?.addEventListener('click', () => this.addExchangeRate());
+
+        const currencyOptions = CURRENCIES.map(currency => `<option value="${currency.code}">${currency.code} - ${currency.name}</option>`).join('');
+        const billCurrency = document.getElementById('billCurrency');
+        if (billCurrency) billCurrency.innerHTML = currencyOptions;
+        const rateCurrency = document.getElementById('rateCurrency');
+        if (rateCurrency) rateCurrency.innerHTML = CURRENCIES.filter(currency => currency.code !== BASE_CURRENCY)
+            .map(currency => `<option value="${currency.code}">${currency.code} - ${currency.name}</option>`).join('');
+
+        this.setBillCurrency(BASE_CURRENCY);
+    }
+
+    getCurrencySymbol(code = BASE_CURRENCY) {
+        return CURRENCIES.find(currency => currency.code === code)?.symbol || `${code} `;
+    }
+
+    formatMoney(amount, currency = BASE_CURRENCY) {
+        return `${this.getCurrencySymbol(currency)}${this.formatAmount(amount)}`;
+    }
+
+    // Latest table rate on or before the given date, in base currency per unit
+    findExchangeRate(currency, date) {
+        if (currency === BASE_CURRENCY) return { rate: 1, date: null };
+
+        const day = new Date(date).toISOString().slice(0, 10);
+        const entry = this.exchangeRates
+            .filter(rate => rate.currency === currency && rate.date <= day)
+            .sort((a, b) => b.date.localeCompare(a.date))[0];
+        return entry ? { rate: entry.rate, date: entry.date } : null;
+    }
+
+    // Amount of a bill converted with the rate stored on it
+    toBaseAmount(bill, amount = bill.total) {
+        return Math.round(amount * (bill.exchangeRate?.rate || 1));
+    }
+
+    // Currency fields for a bill dated `date`, or null (with a message) when the table has no rate
+    getBillCurrency(date) {
+        if (this.billCurrency === BASE_CURRENCY) {
+            return { currency: BASE_CURRENCY, exchangeRate: null };
+        }
+
+        const exchangeRate = this.findExchangeRate(this.billCurrency, date);
+        if (!exchangeRate) {
+            this.showNotification(`No ${this.billCurrency} rate on or before ${new Date(date).toLocaleDateString('en-IN')} - add one under 💱 Rates`, 'error');
+            return null;
+        }
+        return { currency: this.billCurrency, exchangeRate };
+    }
+
+    setBillCurrency(currency) {
+        this.billCurrency = currency;
+        const select = document.getElementById('billCurrency');
+        if (select) select.value = currency;
+
+        const symbol = this.getCurrencySymbol(currency).trim();
+        document.querySelectorAll('.bill-currency-symbol').forEach(element => {
+            element.textContent = symbol;
+        });
+
+        this.updateCurrencyHint();
+        this.renderProducts();
+        this.updateTotal();
+    }
+
+    updateCurrencyHint() {
+        const hint = document.getElementById('currencyRateHint');
+        if (!hint) return;
+
+        if (this.billCurrency === BASE_CURRENCY) {
+            hint.textContent = '';
+            return;
+        }
+
+        const exchangeRate = this.findExchangeRate(this.billCurrency, new Date());
+        hint.textContent = exchangeRate
+            ? `1 ${this.billCurrency} = ${this.formatMoney(this.toPaise(exchangeRate.rate))} (rate of ${new Date(exchangeRate.date).toLocaleDateString('en-IN')})`
+            : `No ${this.billCurrency} rate yet - add one under 💱 Rates`;
+    }
+
+    openExchangeRates() {
+        document.getElementById('rateDate').value = new Date().toISOString().slice(0, 10);
+        document.getElementById('rateValue').value = '';
+        this.renderExchangeRates();
+        this.showModal('exchangeRateModal');
+    }
+
+    renderExchangeRates() {
+        const container = document.getElementById('exchangeRateList');
+        if (!container) return;
+
+        if (this.exchangeRates.length === 0) {
+            container.innerHTML = '<p class="import-hint">No rates yet. Bills in other currencies need a rate dated on or before the bill.</p>';
+            return;
+        }
+
+        container.innerHTML = this.exchangeRates.slice()
+            .sort((a, b) => a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date))
+            .map(rate => `
+                <div class="exchange-rate-item">
+                    <span><strong>${rate.currency}</strong> • ${new Date(rate.date).toLocaleDateString('en-IN')}</span>
+                    <span>1 ${rate.currency} = ${this.formatMoney(this.toPaise(rate.rate))}</span>
+                    <button type="button" class="remove-product" onclick="window.billRecorder.deleteExchangeRate(${rate.id})">🗑️</button>
+                </div>
+            `).join('');
+    }
+
+    async addExchangeRate() {
+        const currency = document.getElementById('rateCurrency').value;
+        const date = document.getElementById('rateDate').value;
+        const rate = parseFloat(document.getElementById('rateValue').value);
+
+        if (!date || !(rate > 0)) {
+            this.showNotification('Please enter a date and a rate above zero', 'error');
+            return;
+        }
+
+        // One rate per currency and day; a new entry replaces the old one
+        const exchangeRates = this.exchangeRates
+            .filter(entry => !(entry.currency === currency && entry.date === date))
+            .concat({ id: Date.now(), currency, date, rate });
+
+        if (await this.saveExchangeRates(exchangeRates)) {
+            document.getElementById('rateValue').value = '';
+            this.showNotification(`Saved 1 ${currency} = ${this.formatMoney(this.toPaise(rate))}`, 'success');
+        }
+    }
+
+    async deleteExchangeRate(rateId) {
+        await this.saveExchangeRates(this.exchangeRates.filter(entry => entry.id !== rateId));
+    }
+
+    // Bills keep the rate they were saved with, so editing the table never changes past totals
+    async saveExchangeRates(exchangeRates) {
+        try {
+            await this.storage.setSetting('exchangeRates', exchangeRates);
+        } catch (error) {
+            this.handleStorageError(error);
+            return false;
+        }
+
+        this.exchangeRates = exchangeRates;
+        this.renderExchangeRates();
+        this.updateCurrencyHint();
+        return true;
+    }
+
+    // Receipt Scan Feature
+    setupReceiptScan() {
+        const fileInput = document.getElementById('receiptFile');
+        const dropZone = document.getElementById('receiptDropZone');
+        document.getElementById('scanReceipt')?.addEventListener('click', () => this.openReceiptScan());
+        document.getElementById('acceptReceiptDrafts')?.addEventListener('click', () => this.acceptReceiptDrafts());
+
+        fileInput?.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.scanReceipt(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        if (!dropZone) return;
+        dropZone.addEventListener('click', () => fileInput?.click());
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragging');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragging'));
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragging');
+            const file = [...e.dataTransfer.files].find(item => item.type.startsWith('image/'));
+            if (file) {
+                this.scanReceipt(file);
+            } else {
+                this.showNotification('Please drop an image of the receipt', 'error');
+            }
+        });
+    }
+
+    openReceiptScan() {
+        if (this.isLocked) {
+            this.showPinModal();
+            return;
+        }
+
+        this.receiptDrafts = [];
+        this.receiptTotal = null;
+        this.setReceiptStatus(this.receiptScanner.isAvailable()
+            ? 'Pick or drop a photo of the receipt.'
+            : 'Receipt scanning needs the OCR engine files in vendor/tesseract (see README).');
+        this.renderReceiptDrafts();
+        this.showModal('receiptModal');
+    }
+
+    setReceiptStatus(text) {
+        const status = document.getElementById('receiptStatus');
+        if (status) status.textContent = text;
+    }
+
+    async scanReceipt(file) {
+        if (!this.receiptScanner.isAvailable()) {
+            this.showNotification('Receipt scanning is not available - the OCR engine files are missing', 'error');
+            return;
+        }
+        if (this.isScanningReceipt) return;
+
+        this.isScanningReceipt = true;
+        this.setReceiptStatus('Reading receipt...');
+        try {
+            const text = await this.receiptScanner.recognize(file, progress => {
+                this.setReceiptStatus(`Reading receipt... ${Math.round(progress * 100)}%`);
+            });
+            const receipt = this.receiptScanner.parse(text);
+            this.receiptDrafts = receipt.items.map(item => this.createReceiptDraft(item));
+            this.receiptTotal = receipt.total;
+            this.setReceiptStatus(this.receiptDrafts.length > 0
+                ? `Found ${this.receiptDrafts.length} items - check them before adding.`
+                : 'No line items found - try a sharper, straighter photo.');
+        } catch (error) {
+            console.error('Receipt OCR failed:', error);
+            this.setReceiptStatus('Could not read the receipt.');
+            this.showNotification('Could not read the receipt: ' + error.message, 'error');
+        } finally {
+            this.isScanningReceipt = false;
+        }
+
+        this.renderReceiptDrafts();
+    }
+
+    // Products already in the catalog take its name and category
+    createReceiptDraft(item) {
+        const entry = this.findCatalogEntry(item.name);
+        return {
+            include: true,
+            name: entry ? entry.name : item.name,
+            quantity: item.quantity,
+            price: item.price,
+            category: entry ? entry.category : 'General',
+            text: item.text
+        };
+    }
+
+    renderReceiptDrafts() {
+        const container = document.getElementById('receiptDrafts');
+        if (!container) return;
+
+        document.getElementById('acceptReceiptDrafts').disabled = this.receiptDrafts.length === 0;
+        if (this.receiptDrafts.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const categoryOptions = selected => this.categories
+            .filter(category => !category.archived || category.name === selected)
+            .map(category => `<option value="${this.escapeHtml(category.name)}" ${category.name === selected ? 'selected' : ''}>${category.icon} ${this.escapeHtml(category.name)}</option>`)
+            .join('');
+
+        container.innerHTML = `
+            ${this.receiptDrafts.map((draft, index) => `
+                <div class="receipt-draft">
+                    <div class="receipt-draft-fields">
+                        <input type="checkbox" ${draft.include ? 'checked' : ''} title="Add this item"
+                            onchange="window.billRecorder.updateReceiptDraft(${index}, 'include', this.checked)">
+                        <input type="text" class="receipt-draft-name" value="${this.escapeHtml(draft.name)}" placeholder="Product name"
+                            oninput="window.billRecorder.updateReceiptDraft(${index}, 'name', this.value)">
+                        <input type="number" class="receipt-draft-quantity" value="${draft.quantity}" min="1" title="Quantity"
+                            oninput="window.billRecorder.updateReceiptDraft(${index}, 'quantity', this.value)">
+                        <input type="number" class="receipt-draft-price" value="${this.fromPaise(draft.price)}" min="0" step="0.01" title="Price (₹)"
+                            oninput="window.billRecorder.updateReceiptDraft(${index}, 'price', this.value)">
+                        <select onchange="window.billRecorder.updateReceiptDraft(${index}, 'category', this.value)">${categoryOptions(draft.category)}</select>
+                    </div>
+                    <span class="import-hint">Read as: ${this.escapeHtml(draft.text)}</span>
+                </div>
+            `).join('')}
+            <p class="import-hint" id="receiptDraftSummary"></p>
+        `;
+        this.updateReceiptSummary();
+    }
+
+    updateReceiptDraft(index, field, value) {
+        const draft = this.receiptDrafts[index];
+        if (!draft) return;
+
+        if (field === 'price') {
+            draft.price = this.toPaise(parseFloat(value) || 0);
+        } else if (field === 'quantity') {
+            draft.quantity = parseInt(value) || 0;
+        } else {
+            draft[field] = value;
+        }
+        this.updateReceiptSummary();
+    }
+
+    // Compare the ticked rows with the total printed on the receipt
+    updateReceiptSummary() {
+        const summary = document.getElementById('receiptDraftSummary');
+        if (!summary) return;
+
+        const itemsTotal = this.receiptDrafts
+            .filter(draft => draft.include)
+            .reduce((sum, draft) => sum + draft.price * draft.quantity, 0);
+        summary.textContent = this.receiptTotal === null
+            ? `Ticked items add up to ${this.formatMoney(itemsTotal)}`
+            : `Ticked items add up to ${this.formatMoney(itemsTotal)} • receipt total ${this.formatMoney(this.receiptTotal)}`;
+    }
+
+    acceptReceiptDrafts() {
+        const drafts = this.receiptDrafts.filter(draft => draft.include);
+        if (drafts.length === 0) {
+            this.showNotification('Tick at least one item to add', 'error');
+            return;
+        }
+        if (drafts.some(draft => !draft.name.trim() || !(draft.price > 0) || !(draft.quantity > 0))) {
+            this.showNotification('Each ticked item needs a name, price and quantity', 'error');
+            return;
+        }
+
+        const baseId = Date.now();
+        const products = drafts.map((draft, index) => this.createProduct({
+            id: baseId + index,
+            name: draft.name.trim(),
+            price: draft.price,
+            quantity: draft.quantity,
+            category: draft.category
+        }));
+        this.products.push(...products);
+
+        // Lines of a bill being edited are saved with the bill, not as current items
+        if (!this.editingBillId) {
+            this.storage.putAll('products', products).catch(error => this.handleStorageError(error));
+        }
+
+        this.receiptDrafts = [];
+        this.hideModal('receiptModal');
+        this.renderProducts();
+        this.updateTotal();
+        this.showNotification(`Added ${products.length} products from the receipt`, 'success');
+    }
+
+    // Barcode Scan Feature
+    setupBarcodeScan() {
+        const modal = document.getElementById('barcodeModal');
+        const fileInput = document.getElementById('barcodeFile');
+        document.getElementById('scanBarcode')?.addEventListener('click', () => this.openBarcodeScan());
+        document.getElementById('barcodePhoto')?.addEventListener('click', () => fileInput?.click());
+        document.getElementById('barcodeLookup')?.addEventListener('click', () => this.lookupTypedBarcode());
+        document.getElementById('barcodeManual')?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.lookupTypedBarcode();
+            }
+        });
+
+        fileInput?.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.scanBarcodePhoto(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // The camera is released whenever the modal closes
+        modal?.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('[data-close-modal]')) this.stopBarcodeCamera();
+        });
+    }
+
+    openBarcodeScan() {
+        if (this.isLocked) {
+            this.showPinModal();
+            return;
+        }
+
+        document.getElementById('barcodeManual').value = '';
+        this.showModal('barcodeModal');
+        this.startBarcodeCamera();
+    }
+
+    setBarcodeStatus(text) {
+        const status = document.getElementById('barcodeStatus');
+        if (status) status.textContent = text;
+    }
+
+    async startBarcodeCamera() {
+        if (!navigator.mediaDevices?.getUserMedia) {
+            this.setBarcodeStatus('No camera available - use a photo or type the code.');
+            return;
+        }
+
+        this.setBarcodeStatus('Starting camera...');
+        try {
+            const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+            // The modal may have been closed while permission was being asked
+            if (!document.getElementById('barcodeModal').classList.contains('show')) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+
+            const video = document.getElementById('barcodeVideo');
+            this.barcodeStream = stream;
+            video.srcObject = stream;
+            video.classList.add('active');
+            await video.play();
+            this.setBarcodeStatus('Point the camera at the barcode.');
+            this.scanBarcodeFrame();
+        } catch (error) {
+            console.error('Camera failed:', error);
+            this.stopBarcodeCamera();
+            this.setBarcodeStatus('Camera unavailable - use a photo or type the code.');
+        }
+    }
+
+    // Frames are checked one at a time so a slow decode never piles up
+    async scanBarcodeFrame() {
+        if (!this.barcodeStream) return;
+
+        const video = document.getElementById('barcodeVideo');
+        if (video.readyState >= video.HAVE_CURRENT_DATA) {
+            const code = await this.barcodeScanner.detect(video);
+            if (code && this.barcodeStream) {
+                this.handleBarcode(code);
+                return;
+            }
+        }
+        this.barcodeScanTimer = setTimeout(() => this.scanBarcodeFrame(), 250);
+    }
+
+    stopBarcodeCamera() {
+        clearTimeout(this.barcodeScanTimer);
+        this.barcodeScanTimer = null;
+        if (this.barcodeStream) {
+            this.barcodeStream.getTracks().forEach(track => track.stop());
+            this.barcodeStream = null;
+        }
+
+        const video = document.getElementById('barcodeVideo');
+        if (video) {
+            video.srcObject = null;
+            video.classList.remove('active');
+        }
+    }
+
+    async scanBarcodePhoto(file) {
+        this.setBarcodeStatus('Reading photo...');
+        try {
+            const image = await createImageBitmap(file);
+            const code = await this.barcodeScanner.detect(image);
+            if (code) {
+                this.handleBarcode(code);
+            } else {
+                this.setBarcodeStatus('No barcode found - try a closer, sharper photo.');
+            }
+        } catch (error) {
+            console.error('Barcode photo failed:', error);
+            this.setBarcodeStatus('Could not read the photo.');
+        }
+    }
+
+    lookupTypedBarcode() {
+        const code = this.barcodeScanner.normalizeCode(document.getElementById('barcodeManual').value);
+        if (!code || !this.barcodeScanner.isValidCode(code)) {
+            this.showNotification('Please enter a valid 8 or 13 digit barcode', 'error');
+            return;
+        }
+        this.handleBarcode(code);
+    }
+
+    // Known codes fill the product form; unknown ones can become catalog entries
+    handleBarcode(code) {
+        this.stopBarcodeCamera();
+        this.hideModal('barcodeModal');
+
+        const entry = this.findCatalogEntryByBarcode(code);
+        if (entry) {
+            this.applyBarcodeEntry(entry);
+            return;
+        }
+
+        if (!confirm(`Barcode ${code} is not in the catalog. Add it as a new product?`)) return;
+
+        this.openCatalog();
+        this.pendingBarcode = code;
+        document.getElementById('catalogBarcode').value = code;
+        document.getElementById('catalogName').value = document.getElementById('productName').value.trim();
+        document.getElementById('catalogName').focus();
+    }
+
+    // A scan fills the whole form, also while a line is being edited
+    applyBarcodeEntry(entry) {
+        if (this.editingProductId === null) this.clearForm();
+        document.getElementById('productName').value = entry.name;
+        this.fillCatalogEntry(entry);
+        document.getElementById('quantity').focus();
+        this.showNotification(`${entry.name} • ${this.formatMoney(entry.lastPrice)}`, 'success');
+    }
+
+    // Recurring Bills Feature
+    setupRecurringBills() {
+        document.getElementById('openRecurring')?.addEventListener('click', () => this.openRecurringBills());
+        document.getElementById('saveRecurring')?.addEventListener('click', () => this.saveRecurringBill());
+        document.getElementById('resetRecurringForm')?.addEventListener('click', () => this.resetRecurringForm());
+        this.createDueRecurringBills();
+    }
+
+    // Local calendar day as YYYY-MM-DD
+    getDateKey(date = new Date()) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    parseDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // Monthly and yearly bills keep their day, falling back to the month's last day (31st, 29 Feb)
+    getNextRecurringDate(template, dateKey) {
+        const date = this.parseDateKey(dateKey);
+        if (template.frequency === 'weekly') {
+            date.setDate(date.getDate() + 7);
+            return this.getDateKey(date);
+        }
+
+        const next = new Date(date.getFullYear(), date.getMonth() + (template.frequency === 'yearly' ? 12 : 1), 1);
+        const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+        next.setDate(Math.min(template.day, lastDay));
+        return this.getDateKey(next);
+    }
+
+    describeRecurringSchedule(template) {
+        const nextDue = this.parseDateKey(template.nextDue);
+        if (template.frequency === 'weekly') {
+            return `Every ${nextDue.toLocaleDateString('en-IN', { weekday: 'long' })}`;
+        }
+        if (template.frequency === 'yearly') {
+            return `Yearly on ${template.day} ${nextDue.toLocaleDateString('en-IN', { month: 'short' })}`;
+        }
+        return `Monthly on day ${template.day}`;
+    }
+
+    // Due dates from the template's next due date up to today
+    getOverdueRecurringDates(template, today = this.getDateKey()) {
+        const dates = [];
+        for (let due = template.nextDue; due <= today; due = this.getNextRecurringDate(template, due)) {
+            dates.push(due);
+        }
+        return dates;
+    }
+
+    // Every occurrence due up to today becomes a bill, including any missed while the app was closed
+    async createDueRecurringBills() {
+        const today = this.getDateKey();
+        const created = [];
+        const changed = [];
+        let skipped = 0;
+        this.recurringBills.filter(template => template.nextDue <= today).forEach(template => {
+            const dates = this.getOverdueRecurringDates(template, today);
+            skipped += Math.max(dates.length - RECURRING_BACKFILL.max, 0);
+            dates.slice(-RECURRING_BACKFILL.max).forEach(due => {
+                created.push(this.createRecurringBill(template, due, created.length));
+            });
+            template.nextDue = this.getNextRecurringDate(template, dates[dates.length - 1]);
+            changed.push(template);
+        });
+        if (created.length === 0) return;
+
+        await this.saveRecurringOccurrences(created, changed);
+        this.showNotification(`Recorded ${created.length} recurring bill${created.length === 1 ? '' : 's'}` +
+            (skipped > 0 ? `, skipped ${skipped} older occurrence${skipped === 1 ? '' : 's'}` : ''), 'success');
+    }
+
+    // One-line bill for an occurrence; past occurrences are dated on their due day
+    createRecurringBill(template, dueDate, offset = 0) {
+        const isPast = dueDate < this.getDateKey();
+        const date = isPast ? this.parseDateKey(dueDate) : new Date();
+        if (isPast) date.setHours(12);
+
+        const id = Date.now() + offset;
+        const products = [this.createProduct({
+            id: id,
+            name: template.name,
+            price: template.amount,
+            quantity: 1,
+            category: template.category
+        })];
+        const amounts = this.calculateBillAmounts(products, null, false);
+
+        return {
+            id: id,
+            date: date.toISOString(),
+            currency: BASE_CURRENCY,
+            exchangeRate: null,
+            products: products,
+            payments: [{ method: template.paymentMethod, amount: amounts.net }],
+            ...this.resolveBillVendor(template.vendorName),
+            tax: this.calculateBillTax(products),
+            gross: amounts.gross,
+            discount: null,
+            roundOff: amounts.roundOff,
+            total: amounts.net,
+            recurringId: template.id,
+            minorUnits: true
+        };
+    }
+
+    async saveRecurringOccurrences(bills, templates) {
+        try {
+            if (bills.length > 0) await this.storage.putAll('bills', bills);
+            await this.storage.putAll('recurring', templates);
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.bills.push(...bills);
+        this.bills.sort((a, b) => new Date(a.date) - new Date(b.date));
+        bills.forEach(bill => this.queueChange('create', bill));
+        this.recordCatalogBills(bills);
+        this.loadBills();
+        this.updateDashboard();
+    }
+
+    // Next occurrence of each template due within the coming month
+    renderUpcomingBills() {
+        const container = document.getElementById('upcomingBills');
+        if (!container) return;
+
+        const horizon = new Date();
+        horizon.setMonth(horizon.getMonth() + 1);
+        const upcoming = this.recurringBills
+            .filter(template => template.nextDue <= this.getDateKey(horizon))
+            .sort((a, b) => a.nextDue.localeCompare(b.nextDue));
+
+        if (upcoming.length === 0) {
+            container.innerHTML = `<p class="import-hint">${this.recurringBills.length ? 'Nothing due in the coming month.' : 'Add rent, utilities and subscriptions to have them recorded automatically.'}</p>`;
+            return;
+        }
+
+        const today = this.parseDateKey(this.getDateKey());
+        container.innerHTML = upcoming.map(template => {
+            const days = Math.round((this.parseDateKey(template.nextDue) - today) / (24 * 60 * 60 * 1000));
+            const due = days === 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+            return `
+                <div class="upcoming-bill">
+                    <div>
+                        <strong>${this.getCategory(template.category).icon} ${this.escapeHtml(template.name)}</strong>
+                        <div class="import-hint">${this.parseDateKey(template.nextDue).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })} (${due}) • ${this.describeRecurringSchedule(template)}</div>
+                    </div>
+                    <span class="upcoming-bill-amount">${this.formatMoney(template.amount)}</span>
+                    <div class="bill-actions">
+                        <button type="button" class="btn btn-primary btn-small" onclick="window.billRecorder.confirmRecurringBill(${template.id})">✓ Confirm</button>
+                        <button type="button" class="btn btn-secondary btn-small" onclick="window.billRecorder.skipRecurringBill(${template.id})">Skip</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Record the next occurrence now, e.g. when it was paid early
+    async confirmRecurringBill(templateId) {
+        const template = this.recurringBills.find(item => item.id === templateId);
+        if (!template) return;
+
+        const bill = this.createRecurringBill(template, template.nextDue);
+        template.nextDue = this.getNextRecurringDate(template, template.nextDue);
+        await this.saveRecurringOccurrences([bill], [template]);
+        this.showNotification(`${template.name} recorded`, 'success');
+    }
+
+    async skipRecurringBill(templateId) {
+        const template = this.recurringBills.find(item => item.id === templateId);
+        if (!template) return;
+
+        const skipped = template.nextDue;
+        template.nextDue = this.getNextRecurringDate(template, skipped);
+        await this.saveRecurringOccurrences([], [template]);
+        this.showNotification(`Skipped ${template.name} for ${this.parseDateKey(skipped).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}`, 'info');
+    }
+
+    openRecurringBills() {
+        this.resetRecurringForm();
+        this.renderRecurringList();
+        this.showModal('recurringModal');
+    }
+
+    renderRecurringList() {
+        const container = document.getElementById('recurringList');
+        if (!container) return;
+
+        if (this.recurringBills.length === 0) {
+            container.innerHTML = '<p class="import-hint">No recurring bills yet.</p>';
+            return;
+        }
+
+        container.innerHTML = this.recurringBills.slice().sort((a, b) => a.nextDue.localeCompare(b.nextDue)).map(template => `
+            <div class="vendor-item">
+                <div>
+                    <strong>${this.getCategory(template.category).icon} ${this.escapeHtml(template.name)} • ${this.formatMoney(template.amount)}</strong>
+                    <div class="import-hint">
+                        ${this.describeRecurringSchedule(template)} • next ${this.parseDateKey(template.nextDue).toLocaleDateString('en-IN')}
+                        • ${this.escapeHtml(template.paymentMethod)}${template.vendorName ? ` • ${this.escapeHtml(template.vendorName)}` : ''}
+                    </div>
+                </div>
+                <div class="bill-actions">
+                    <button type="button" class="btn btn-secondary btn-small" onclick="window.billRecorder.editRecurringBill(${template.id})">✏️ Edit</button>
+                    <button type="button" class="remove-product" onclick="window.billRecorder.deleteRecurringBill(${template.id})">🗑️</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    editRecurringBill(templateId) {
+        const template = this.recurringBills.find(item => item.id === templateId);
+        if (!template) return;
+
+        this.resetRecurringForm();
+        this.editingRecurringId = templateId;
+        document.getElementById('recurringName').value = template.name;
+        document.getElementById('recurringAmount').value = this.fromPaise(template.amount);
+        document.getElementById('recurringCategory').value = template.category;
+        document.getElementById('recurringVendor').value = template.vendorName;
+        document.getElementById('recurringPayment').value = template.paymentMethod;
+        document.getElementById('recurringFrequency').value = template.frequency;
+        document.getElementById('recurringNextDue').value = template.nextDue;
+        document.getElementById('saveRecurring').textContent = 'Update Recurring Bill';
+        document.getElementById('recurringName').focus();
+    }
+
+    resetRecurringForm() {
+        this.editingRecurringId = null;
+        ['recurringName', 'recurringAmount', 'recurringVendor'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = '';
+        });
+
+        const categorySelect = document.getElementById('recurringCategory');
+        if (categorySelect) {
+            categorySelect.innerHTML = this.categories.filter(category => !category.archived).map(category => `
+                <option value="${this.escapeHtml(category.name)}">${category.icon} ${this.escapeHtml(category.name)}</option>
+            `).join('');
+            categorySelect.value = this.categories.some(category => category.name === 'General') ? 'General' : this.categories[0]?.name;
+        }
+        const paymentSelect = document.getElementById('recurringPayment');
+        if (paymentSelect) {
+            paymentSelect.innerHTML = PAYMENT_METHODS.map(method => `<option value="${method.value}">${method.icon} ${method.value}</option>`).join('');
+            paymentSelect.value = 'UPI';
+        }
+        const frequencySelect = document.getElementById('recurringFrequency');
+        if (frequencySelect) frequencySelect.value = 'monthly';
+        const dueInput = document.getElementById('recurringNextDue');
+        if (dueInput) dueInput.value = this.getDateKey();
+        const saveButton = document.getElementById('saveRecurring');
+        if (saveButton) saveButton.textContent = 'Add Recurring Bill';
+    }
+
+    // The due date sets the schedule: its day of the month, weekday or date of the year
+    async saveRecurringBill() {
+        const name = document.getElementById('recurringName').value.trim();
+        const amount = parseFloat(document.getElementById('recurringAmount').value);
+        const nextDue = document.getElementById('recurringNextDue').value;
+
+        if (!name || !(amount > 0)) {
+            this.showNotification('Please enter a name and amount', 'error');
+            return;
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(nextDue)) {
+            this.showNotification('Please choose the next due date', 'error');
+            return;
+        }
+
+        const existing = this.recurringBills.find(item => item.id === this.editingRecurringId);
+        const frequency = document.getElementById('recurringFrequency').value;
+
+        // A mistyped year would otherwise record years of bills at once
+        const overdue = this.getOverdueRecurringDates({ frequency, day: this.parseDateKey(nextDue).getDate(), nextDue }).length;
+        if (overdue > RECURRING_BACKFILL.confirmAbove &&
+            !confirm(`${overdue} ${name} bills are already overdue since ${nextDue}. Record ${overdue > RECURRING_BACKFILL.max ? `the latest ${RECURRING_BACKFILL.max}` : 'them'} now?`)) {
+            return;
+        }
+
+        const template = {
+            ...existing,
+            id: existing ? existing.id : Date.now(),
+            name: name,
+            amount: this.toPaise(amount),
+            category: document.getElementById('recurringCategory').value,
+            vendorName: document.getElementById('recurringVendor').value.trim(),
+            paymentMethod: document.getElementById('recurringPayment').value,
+            frequency: frequency,
+            day: this.parseDateKey(nextDue).getDate(),
+            nextDue: nextDue,
+            createdAt: existing?.createdAt || new Date().toISOString()
+        };
+
+        try {
+            await this.storage.put('recurring', template);
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.recurringBills = existing
+            ? this.recurringBills.map(item => item.id === template.id ? template : item)
+            : [...this.recurringBills, template];
+
+        this.showNotification(existing ? 'Recurring bill updated' : 'Recurring bill added', 'success');
+        this.resetRecurringForm();
+        this.renderRecurringList();
+        this.renderUpcomingBills();
+
+        // A due date of today or earlier is recorded straight away
+        await this.createDueRecurringBills();
+        this.renderRecurringList();
+    }
+
+    // Bills already recorded from the template are kept
+    async deleteRecurringBill(templateId) {
+        const template = this.recurringBills.find(item => item.id === templateId);
+        if (!template || !confirm(`Stop recording ${template.name}?`)) return;
+
+        try {
+            await this.storage.delete('recurring', templateId);
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.recurringBills = this.recurringBills.filter(item => item.id !== templateId);
+        if (this.editingRecurringId === templateId) this.resetRecurringForm();
+        this.renderRecurringList();
+        this.renderUpcomingBills();
+        this.showNotification('Recurring bill removed', 'success');
+    }
+
+    // Discount Feature
+    // Percentage or flat amount off, never more than the amount itself
+    calculateDiscount(amount, discount) {
+        if (!discount || !(discount.value > 0)) return 0;
+        const value = discount.type === 'percent' ? Math.round(amount * Math.min(discount.value, 100) / 100) : discount.value;
+        return Math.min(value, amount);
+    }
+
+    formatDiscount(discount, currency = BASE_CURRENCY) {
+        const label = discount.type === 'percent' ? `${discount.value}% off` : `${this.formatMoney(discount.value, currency)} off`;
+        return discount.code ? `${label} (${discount.code})` : label;
+    }
+
+    // Bill discounts and round-off apply to the final amount, after line discounts and GST
+    calculateBillAmounts(products, discount = this.billDiscount, roundOff = this.roundOff) {
+        const subtotal = products.reduce((sum, product) => sum + product.total, 0);
+        const lineDiscount = products.reduce((sum, product) => sum + (product.discount?.amount || 0), 0);
+        const billDiscount = this.calculateDiscount(subtotal, discount);
+        const discounted = subtotal - billDiscount;
+        const roundOffAmount = roundOff ? Math.round(discounted / 100) * 100 - discounted : 0;
+
+        return {
+            gross: subtotal + lineDiscount,
+            lineDiscount,
+            billDiscount,
+            roundOff: roundOffAmount,
+            net: discounted + roundOffAmount
+        };
+    }
+
+    getBillDiscountRecord(amounts) {
+        if (!amounts.billDiscount) return null;
+        return { ...this.billDiscount, amount: amounts.billDiscount };
+    }
+
+    readBillDiscount() {
+        const type = document.getElementById('billDiscountType').value;
+        const value = Math.max(0, parseFloat(document.getElementById('billDiscount').value) || 0);
+        this.billDiscount = {
+            type: type,
+            value: type === 'flat' ? this.toPaise(value) : value,
+            code: document.getElementById('couponCode').value.trim()
+        };
+        this.roundOff = document.getElementById('roundOff').checked;
+        this.updateTotal();
+    }
+
+    setBillDiscount(discount = null, roundOff = false) {
+        this.billDiscount = {
+            type: discount?.type || 'percent',
+            value: discount?.value || 0,
+            code: discount?.code || ''
+        };
+        this.roundOff = roundOff;
+
+        const valueInput = document.getElementById('billDiscount');
+        if (valueInput) valueInput.value = this.formatDiscountInput(this.billDiscount);
+        const typeSelect = document.getElementById('billDiscountType');
+        if (typeSelect) typeSelect.value = this.billDiscount.type;
+        const codeInput = document.getElementById('couponCode');
+        if (codeInput) codeInput.value = this.billDiscount.code;
+        const roundOffInput = document.getElementById('roundOff');
+        if (roundOffInput) roundOffInput.checked = roundOff;
+        this.updateTotal();
+    }
+
+    // Flat discounts are entered in rupees
+    formatDiscountInput(discount) {
+        if (!discount?.value) return '';
+        return discount.type === 'flat' ? this.fromPaise(discount.value) : discount.value;
+    }
+
+    renderBillBreakdown(amounts) {
+        const container = this.getElement('billBreakdown');
+        if (!container) return;
+
+        const discount = amounts.lineDiscount + amounts.billDiscount;
+        if (!discount && !amounts.roundOff) {
+            container.innerHTML = '';
             return;
         }
 
-        const product = {
-            id: Date.now(),
-            name: productName,
+        const money = amount => this.formatMoney(amount, this.billCurrency);
+        container.innerHTML = `
+            <div><span>Gross</span><span>${money(amounts.gross)}</span></div>
+            ${amounts.lineDiscount ? `<div><span>Item discounts</span><span>-${money(amounts.lineDiscount)}</span></div>` : ''}
+            ${amounts.billDiscount ? `<div><span>Bill discount${this.billDiscount.code ? ` (${this.escapeHtml(this.billDiscount.code)})` : ''}</span><span>-${money(amounts.billDiscount)}</span></div>` : ''}
+            ${amounts.roundOff ? `<div><span>Round-off</span><span>${amounts.roundOff > 0 ? '+' : '-'}${money(Math.abs(amounts.roundOff))}</span></div>` : ''}
+        `;
+    }
+
+    async loadFromStorage() {
+        // Load data from IndexedDB (migrates old localStorage data on first run)
+        try {
+            await this.storage.open();
+            if (this.storage.skippedLegacyKeys.length > 0) {
+                this.showNotification(`Some old saved data could not be read and was skipped: ${this.storage.skippedLegacyKeys.join(', ')}`, 'warning');
+            }
+
+            const [bills, products, trash, vendors, catalog, recurringBills, settings] = await Promise.all([
+                this.storage.getAllBills(),
+                this.storage.getAll('products'),
+                this.storage.getAll('trash'),
+                this.storage.getAll('vendors'),
+                this.storage.getAll('catalog'),
+                this.storage.getAll('recurring'),
+                this.storage.getSettings()
+            ]);
+
+            this.bills = bills;
+            this.products = products;
+            this.trash = trash;
+            this.vendors = vendors;
+            this.catalog = catalog;
+            this.recurringBills = recurringBills;
+            this.period = settings.period || 'all';
+            this.customPeriod = settings.customPeriod || { from: '', to: '' };
+
+            // Move per-product payment methods onto their bills
+            const migratedBills = this.bills.filter(bill => this.ensureBillPayments(bill));
+            if (migratedBills.length > 0) {
+                await this.storage.putAll('bills', migratedBills);
+            }
+            this.products = this.products.map(({ paymentMethod, ...product }) => product);
+            this.trashRetentionDays = settings.trashRetentionDays || 30;
+            this.gstRates = settings.gstRates || {};
+            this.exchangeRates = settings.exchangeRates || [];
+            this.voiceLanguage = settings.voiceLanguage || 'en-IN';
+            this.voiceTransliterate = settings.voiceTransliterate === true;
+            this.voiceParser.setLanguage(this.voiceLanguage);
+            this.notificationSettings = { ...this.notificationSettings, ...settings.notificationSettings };
+            this.sentNotifications = settings.sentNotifications || {};
+            if (settings.categories) {
+                this.categories = settings.categories;
+            }
+            this.addMissingCategories(this.bills);
+            if (!settings.catalogBuilt) {
+                await this.buildCatalogFromBills();
+            } else if (!settings.catalogInBaseCurrency) {
+                await this.convertCatalogPrices();
+            }
+            await this.purgeExpiredTrash();
+            this.pendingSync = this.normalizePendingSync(settings.pendingSync || []);
+            this.syncEndpoint = settings.syncEndpoint || '';
+            this.syncCursor = settings.syncCursor ?? null;
+            this.lastSyncedAt = settings.lastSyncedAt || null;
+            this.syncClientId = settings.syncClientId || '';
+            if (!this.syncClientId) {
+                this.syncClientId = `client-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+                await this.storage.setSetting('syncClientId', this.syncClientId);
+            }
+
+            if (settings.theme) {
+                this.currentTheme = settings.theme;
+                document.documentElement.setAttribute('data-theme', this.currentTheme);
+            }
+
+            if (settings.colorTheme) {
+                this.colorTheme = settings.colorTheme;
+                document.documentElement.setAttribute('data-theme-color', this.colorTheme);
+            }
+
+            if (settings.fontFamily) {
+                this.fontFamily = settings.fontFamily;
+                document.documentElement.setAttribute('data-font', this.fontFamily);
+            }
+
+            if (settings.monthlyBudget) {
+                this.monthlyBudget = settings.monthlyBudget;
+            }
+
+            if (!settings.amountsInPaise) {
+                await this.migrateAmountsToPaise(settings);
+            }
+
+            this.budgetHistory = settings.budgetHistory || await this.createBudgetHistory();
+            this.monthlyBudget = this.getBudget()?.total || this.monthlyBudget;
+        } catch (error) {
+            console.error('Error loading from storage:', error);
+            this.bills = [];
+            this.showNotification('Could not open local database', 'error');
+        }
+    }
+
+    // Older versions queued { type: 'bill', data } entries for bills created offline
+    normalizePendingSync(pending) {
+        return pending.map((change, index) => {
+            if (change.op) return change;
+            return {
+                seq: (change.timestamp || Date.now()) + index,
+                op: 'create',
+                billId: change.data.id,
+                bill: change.data,
+                timestamp: change.timestamp || Date.now()
+            };
+        });
+    }
+
+    handleStorageError(error) {
+        console.error('Storage error:', error);
+        this.showNotification('Could not save data: ' + error.message, 'error');
+    }
+
+    initializeCharts() {
+        // Charts will be initialized when needed
+    }
+
+    addAnimations() {
+        // Add animations to elements
+    }
+
+    removeProduct(productId) {
+        const index = this.products.findIndex(p => p.id === productId);
+        if (index === -1) return;
+        const product = this.products[index];
+        const editingBillId = this.editingBillId;
+
+        this.products = this.products.filter(p => p.id !== productId);
+        if (!this.editingBillId) {
+            this.storage.delete('products', productId).catch(error => this.handleStorageError(error));
+        }
+        if (this.editingProductId === productId) this.clearForm();
+        this.renderProducts();
+        this.updateTotal();
+
+        this.setUndo('Product removed', () => {
+            // The line belongs to whichever bill was open when it was removed
+            if (this.editingBillId !== editingBillId) {
+                this.showNotification('Cannot undo - a different bill is open now', 'error');
+                return;
+            }
+            this.products.splice(Math.min(index, this.products.length), 0, product);
+            if (!this.editingBillId) {
+                this.storage.put('products', product).catch(error => this.handleStorageError(error));
+            }
+            this.renderProducts();
+            this.updateTotal();
+            this.showNotification('Product restored', 'success');
+        });
+    }
+
+    updateTotal() {
+        const amounts = this.calculateBillAmounts(this.products);
+        const totalElement = document.getElementById('totalAmount');
+        if (totalElement) {
+            totalElement.textContent = this.formatAmount(amounts.net);
+        }
+        this.renderBillBreakdown(amounts);
+        if (this.tenders) this.updateTenderRemaining();
+    }
+
+    viewBill(billId) {
+        const bill = this.bills.find(b => b.id === billId);
+        if (!bill) {
+            this.showNotification('Bill not found', 'error');
+            return;
+        }
+
+        // Store the bill data in localStorage for the invoice page, with the vendor's details for its header
+        const categoryStyles = {};
+        bill.products.concat(...(bill.revisions || []).map(revision => revision.products)).forEach(product => {
+            const { color, icon } = this.getCategory(product.category);
+            categoryStyles[product.category] = { color, icon };
+        });
+        localStorage.setItem('currentBill', JSON.stringify({
+            ...bill,
+            ...(bill.revisions && { revisions: bill.revisions.map(revision => ({ ...revision, currencySymbol: this.getCurrencySymbol(revision.currency) })) }),
+            vendorDetails: this.getVendor(bill.vendorId),
+            categoryStyles,
+            currencySymbol: this.getCurrencySymbol(bill.currency)
+        }));
+        
+        // Redirect to invoice page
+        window.location.href = 'invoice.html';
+    }
+
+    printBill(billId) {
+        const bill = this.bills.find(b => b.id === billId);
+        if (bill) {
+            window.print();
+            this.showNotification('Print dialog opened', 'success');
+        }
+    }
+
+    // Deleted bills go to the recycle bin instead of being removed for good
+    async deleteBill(billId) {
+        const bill = this.bills.find(b => b.id === billId);
+        if (!bill) return;
+
+        if (this.editingBillId === billId) this.finishBillEdit();
+
+        const trashedBill = { ...bill, deletedAt: new Date().toISOString() };
+        try {
+            await this.storage.put('trash', trashedBill);
+            await this.storage.deleteBill(billId);
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.bills = this.bills.filter(b => b.id !== billId);
+        this.trash.push(trashedBill);
+        this.queueChange('delete', { id: billId });
+        this.loadBills();
+        this.updateDashboard();
+        this.updateTrashButton();
+
+        this.setUndo('Bill moved to trash', () => this.restoreBill(billId));
+    }
+
+    // Recycle Bin Feature
+    setUndo(message, handler) {
+        this.lastUndo = handler;
+        this.showNotification(message, 'info', {
+            label: 'Undo',
+            handler: () => this.undoLastAction()
+        });
+    }
+
+    undoLastAction() {
+        const handler = this.lastUndo;
+        this.lastUndo = null;
+        if (handler) handler();
+    }
+
+    async restoreBill(billId) {
+        const trashedBill = this.trash.find(b => b.id === billId);
+        if (!trashedBill) {
+            this.showNotification('Bill is no longer in the trash', 'error');
+            return;
+        }
+
+        const { deletedAt, ...bill } = trashedBill;
+        this.ensureBillPayments(bill);
+        try {
+            await this.storage.putBill(bill);
+            await this.storage.delete('trash', billId);
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.trash = this.trash.filter(b => b.id !== billId);
+        this.bills.push(bill);
+        this.bills.sort((a, b) => new Date(a.date) - new Date(b.date));
+        this.queueChange('create', bill);
+
+        this.loadBills();
+        this.updateDashboard();
+        this.updateTrashButton();
+        this.renderTrash();
+        this.showNotification('Bill restored', 'success');
+    }
+
+    async deleteBillForever(billId) {
+        if (!confirm('Permanently delete this bill? This cannot be undone.')) return;
+
+        try {
+            await this.storage.delete('trash', billId);
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.trash = this.trash.filter(b => b.id !== billId);
+        this.updateTrashButton();
+        this.renderTrash();
+        this.showNotification('Bill permanently deleted', 'success');
+    }
+
+    async emptyTrash() {
+        if (this.trash.length === 0) return;
+        if (!confirm(`Permanently delete all ${this.trash.length} bills in the trash?`)) return;
+
+        try {
+            await this.storage.clear('trash');
+        } catch (error) {
+            this.handleStorageError(error);
+            return;
+        }
+
+        this.trash = [];
+        this.lastUndo = null;
+        this.updateTrashButton();
+        this.renderTrash();
+        this.showNotification('Trash emptied', 'success');
+    }
+
+    // Bills older than the retention period are removed for good
+    async purgeExpiredTrash() {
+        const cutoff = Date.now() - this.trashRetentionDays * 24 * 60 * 60 * 1000;
+        const expired = this.trash.filter(bill => new Date(bill.deletedAt).getTime() < cutoff);
+        if (expired.length === 0) return;
+
+        for (const bill of expired) {
+            await this.storage.delete('trash', bill.id);
+        }
+        this.trash = this.trash.filter(bill => !expired.includes(bill));
+        console.log(`Purged ${expired.length} bills from trash`);
+    }
+
+    async setTrashRetention(days) {
+        if (!Number.isInteger(days) || days < 1) {
+            this.showNotification('Please enter a number of days (1 or more)', 'error');
+            return;
+        }
+
+        this.trashRetentionDays = days;
+        await this.storage.setSetting('trashRetentionDays', days);
+        await this.purgeExpiredTrash();
+        this.updateTrashButton();
+        this.renderTrash();
+        this.showNotification(`Trash keeps bills for ${days} days`, 'success');
+    }
+
+    async openTrash() {
+        await this.purgeExpiredTrash();
+        this.updateTrashButton();
+        document.getElementById('trashRetentionInput').value = this.trashRetentionDays;
+        this.renderTrash();
+        this.showModal('trashModal');
+    }
+
+    updateTrashButton() {
+        const count = document.getElementById('trashCount');
+        if (count) count.textContent = this.trash.length;
+    }
+
+    renderTrash() {
+        const container = document.getElementById('trashList');
+        if (!container) return;
+
+        if (this.trash.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>Trash is empty</p></div>';
+            return;
+        }
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        container.innerHTML = this.trash.slice()
+            .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+            .map(bill => {
+                const daysLeft = Math.max(0, Math.ceil((new Date(bill.deletedAt).getTime() + this.trashRetentionDays * dayMs - Date.now()) / dayMs));
+                return `
+                    <div class="trash-item">
+                        <div class="bill-info">
+                            <div class="bill-date">${new Date(bill.date).toLocaleDateString('en-IN')} • ${this.formatMoney(bill.total, bill.currency)}</div>
+                            <div class="bill-details">
+                                ${bill.products.length} items • deleted ${new Date(bill.deletedAt).toLocaleDateString('en-IN')} • ${daysLeft} days left
+                            </div>
+                        </div>
+                        <div class="bill-actions">
+                            <button class="btn btn-primary btn-small" onclick="window.billRecorder.restoreBill(${bill.id})">
+                                ↩️ Restore
+                            </button>
+                            <button class="remove-product" onclick="window.billRecorder.deleteBillForever(${bill.id})">
+                                🗑️ Delete Forever
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+    }
+
+    // Bill Editing Feature
+    editBill(billId) {
+        if (this.isLocked) {
+            this.showPinModal();
+            return;
+        }
+
+        const bill = this.bills.find(b => b.id === billId);
+        if (!bill) {
+            this.showNotification('Bill not found', 'error');
+            return;
+        }
+
+        if (this.editingBillId) {
+            this.cancelBillEdit();
+        }
+
+        // Park the current bill items until editing is finished
+        this.stashedProducts = this.products;
+        this.stashedTenders = this.tenders;
+        this.products = bill.products.map(product => ({ ...product }));
+        this.editingBillId = billId;
+        this.resetTenders(bill.payments);
+        this.setSupplyType(bill.tax?.supplyType || 'intra');
+        this.stashedBillOptions = {
+            discount: this.billDiscount,
+            roundOff: this.roundOff,
+            vendorName: document.getElementById('billVendor')?.value || '',
+            tags: this.readBillTags(),
+            currency: this.billCurrency
+        };
+        this.setBillDiscount(bill.discount, Boolean(bill.roundOff));
+        this.setBillVendor(this.getBillVendorName(bill));
+        this.setBillTags(bill.tags || []);
+        this.setBillCurrency(bill.currency || BASE_CURRENCY);
+
+        this.clearForm();
+        this.renderProducts();
+        this.updateTotal();
+        this.updateEditBillBanner();
+        this.switchTab('add-products');
+        this.showNotification('Editing bill - change the items and save', 'info');
+    }
+
+    editProduct(productId) {
+        const product = this.products.find(p => p.id === productId);
+        if (!product) return;
+
+        document.getElementById('productName').value = product.name;
+        document.getElementById('price').value = this.fromPaise(product.price);
+        document.getElementById('quantity').value = product.quantity;
+        document.getElementById('unit').value = product.unit || '';
+        this.renderCategoryOptions(product.category);
+        document.getElementById('gstRate').value = product.taxRate ?? '';
+        document.getElementById('hsnCode').value = product.hsn || '';
+        document.getElementById('priceIncludesTax').checked = product.taxInclusive !== false;
+        document.getElementById('lineDiscount').value = this.formatDiscountInput(product.discount);
+        document.getElementById('lineDiscountType').value = product.discount?.type || 'percent';
+
+        this.editingProductId = productId;
+        const submitButton = document.getElementById('addProductBtn');
+        if (submitButton) submitButton.textContent = '✓ UPDATE PRODUCT';
+        document.getElementById('productName').focus();
+    }
+
+    saveEditedBill() {
+        const bill = this.bills.find(b => b.id === this.editingBillId);
+        if (!bill) {
+            this.showNotification('Bill not found', 'error');
+            this.finishBillEdit();
+            return;
+        }
+
+        // Keep the bill's own rate unless its currency changed
+        const billCurrency = this.billCurrency === (bill.currency || BASE_CURRENCY)
+            ? { currency: this.billCurrency, exchangeRate: bill.exchangeRate || null }
+            : this.getBillCurrency(bill.date);
+        if (!billCurrency) return;
+
+        const amounts = this.calculateBillAmounts(this.products);
+        const payments = this.getBillPayments(amounts.net);
+        if (!payments) return;
+
+        // Keep the version being replaced so it can still be viewed on the invoice page
+        const previousRevisions = bill.revisions || [];
+        bill.revisions = [...previousRevisions, {
+            revision: previousRevisions.length + 1,
+            savedAt: bill.updatedAt || bill.date,
+            products: bill.products,
+            payments: bill.payments,
+            currency: bill.currency,
+            exchangeRate: bill.exchangeRate,
+            tax: bill.tax,
+            gross: bill.gross,
+            discount: bill.discount,
+            roundOff: bill.roundOff,
+            total: bill.total
+        }];
+        bill.products = [...this.products];
+        bill.payments = payments;
+        Object.assign(bill, this.resolveBillVendor(), billCurrency);
+        bill.tags = this.readBillTags();
+        bill.tax = this.calculateBillTax(this.products, this.supplyType, amounts.billDiscount);
+        bill.gross = amounts.gross;
+        bill.discount = this.getBillDiscountRecord(amounts);
+        bill.roundOff = amounts.roundOff;
+        bill.total = amounts.net;
+        bill.updatedAt = new Date().toISOString();
+
+        this.storage.putBill(bill).catch(error => this.handleStorageError(error));
+        this.queueChange('update', bill);
+
+        this.finishBillEdit();
+        this.showNotification('Bill updated successfully!', 'success');
+        this.switchTab('bill-history');
+        this.updateDashboard();
+    }
+
+    cancelBillEdit() {
+        if (!this.editingBillId) return;
+        this.finishBillEdit();
+        this.showNotification('Bill edit cancelled', 'info');
+    }
+
+    finishBillEdit() {
+        this.editingBillId = null;
+        this.products = this.stashedProducts;
+        this.stashedProducts = [];
+        this.resetTenders(this.stashedTenders);
+        this.stashedTenders = null;
+        this.setSupplyType('intra');
+        this.setBillDiscount(this.stashedBillOptions?.discount, this.stashedBillOptions?.roundOff);
+        this.setBillVendor(this.stashedBillOptions?.vendorName || '');
+        this.setBillTags(this.stashedBillOptions?.tags || []);
+        this.setBillCurrency(this.stashedBillOptions?.currency || BASE_CURRENCY);
+        this.stashedBillOptions = null;
+
+        this.clearForm();
+        this.renderProducts();
+        this.updateTotal();
+        this.updateEditBillBanner();
+    }
+
+    updateEditBillBanner() {
+        const banner = document.getElementById('editBillBanner');
+        const generateButton = document.getElementById('generateBill');
+
+        if (this.editingBillId) {
+            const bill = this.bills.find(b => b.id === this.editingBillId);
+            const billDate = new Date(bill.date).toLocaleDateString('en-IN');
+            document.getElementById('editBillText').textContent = `Editing bill #${bill.id} from ${billDate}`;
+            banner?.classList.add('show');
+            if (generateButton) generateButton.textContent = 'SAVE CHANGES';
+        } else {
+            banner?.classList.remove('show');
+            if (generateButton) generateButton.textContent = 'GENERATE BILL';
+        }
+    }
+
+    // A bill line from a price in paise; a missing GST rate or HSN/SAC falls back to the category's defaults
+    createProduct({ id, name, price, quantity, unit = '', category, taxRate = null, hsn = '', taxInclusive = true, discount = null }) {
+        const categoryGst = this.getCategoryGst(category);
+        const rate = taxRate ?? categoryGst.rate;
+
+        // Line discounts reduce the taxable value; the stored amount is how much the line total drops
+        const gross = Math.round(price * quantity);
+        const lineTax = this.calculateLineTax(gross - this.calculateDiscount(gross, discount), rate, taxInclusive);
+        return {
+            id: id,
+            name: name,
             price: price,
             quantity: quantity,
+            unit: unit,
             category: category,
-            paymentMethod: paymentMethod,
-            total: price * quantity
+            taxRate: rate,
+            hsn: hsn || categoryGst.hsn,
+            taxInclusive: taxInclusive,
+            discount: discount ? { ...discount, amount: this.calculateLineTax(gross, rate, taxInclusive).total - lineTax.total } : null,
+            ...lineTax
         };
+    }
 
-        this.products.push(product);
+    addProduct() {
+        if (this.isLocked) {
+            this.showPinModal();
+            return;
+        }
+        
+        // Instant product addition - no delays
+        const productName = document.getElementById('productName').value.trim();
+        const price = parseFloat(document.getElementById('price').value);
+        const quantity = parseFloat(document.getElementById('quantity').value);
+        const category = document.getElementById('category').value;
+
+        if (!productName || !price || !(quantity > 0)) {
+            this.showNotification('Please fill all fields correctly', 'error');
+            return;
+        }
+
+        const hsnInput = document.getElementById('hsnCode').value.trim();
+        if (hsnInput && !/^\d{4,8}$/.test(hsnInput)) {
+            this.showNotification('HSN/SAC codes are 4 to 8 digits', 'error');
+            return;
+        }
+
+        const discountValue = parseFloat(document.getElementById('lineDiscount').value) || 0;
+        const discountType = document.getElementById('lineDiscountType').value;
+        if (discountValue < 0 || (discountType === 'percent' && discountValue > 100) || (discountType === 'flat' && discountValue > price * quantity)) {
+            this.showNotification('Discount cannot be more than the line amount', 'error');
+            return;
+        }
+
+        const isLineEdit = this.editingProductId !== null;
+        const rateValue = document.getElementById('gstRate').value;
+        const product = this.createProduct({
+            id: isLineEdit ? this.editingProductId : Date.now(),
+            name: productName,
+            price: this.toPaise(price),
+            quantity: quantity,
+            unit: document.getElementById('unit').value,
+            category: category,
+            taxRate: rateValue === '' ? null : parseFloat(rateValue),
+            hsn: hsnInput,
+            taxInclusive: document.getElementById('priceIncludesTax').checked,
+            discount: discountValue > 0 ? { type: discountType, value: discountType === 'flat' ? this.toPaise(discountValue) : discountValue } : null
+        });
+
+        if (isLineEdit) {
+            this.products = this.products.map(p => p.id === product.id ? product : p);
+        } else {
+            this.products.push(product);
+        }
+
+        // Lines of a bill being edited are saved with the bill, not as current items
+        if (!this.editingBillId) {
+            this.storage.put('products', product).catch(error => this.handleStorageError(error));
+        }
         
         // Instant UI updates - no requestAnimationFrame or setTimeout
         this.renderProducts();
         this.updateTotal();
         this.clearForm();
-        this.showNotification('Product added successfully', 'success');
+        this.showNotification(isLineEdit ? 'Product updated successfully' : 'Product added successfully', 'success');
         
         // Instant animation - minimal delay
         const newProduct = document.querySelector('.product-item:last-child');
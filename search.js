@@ -0,0 +1,123 @@
+// Auto Bill Recorder Bill Search
+//
+// Turns the bill history search box into filters that all have to match, e.g.
+//   milk >500 paid:upi after:2026-04-01 #office
+//
+//   >500  <200  >=100  <=100  100-500         bill total in rupees
+//   after:2026-04-01  before:31/03/2026  on:2026-10-19  2026-04-01..2026-06-30
+//   paid:upi  vendor:sharma  category:food  #office or tag:office
+//   anything else                             product, vendor, category or tag text
+//
+// Values with spaces can be quoted: vendor:"big bazaar". Amounts come out in paise
+// and dates as YYYY-MM-DD, like the rest of the app.
+
+const BILL_SEARCH_KEYS = {
+    paid: 'methods',
+    pay: 'methods',
+    method: 'methods',
+    vendor: 'vendors',
+    at: 'vendors',
+    category: 'categories',
+    cat: 'categories',
+    tag: 'tags',
+    after: 'from',
+    from: 'from',
+    before: 'to',
+    to: 'to',
+    on: 'on'
+};
+
+const BILL_SEARCH_AMOUNT = '\\d+(?:\\.\\d{1,2})?';
+
+class BillSearchParser {
+    parse(query) {
+        const search = { text: [], amounts: [], from: null, to: null, methods: [], vendors: [], categories: [], tags: [], invalid: [] };
+        const tokens = (query || '').match(/[^\s:"]+:"[^"]*"?|"[^"]*"?|\S+/g) || [];
+
+        tokens.forEach(token => {
+            if (!this.parseToken(token, search)) search.invalid.push(token);
+        });
+        return search;
+    }
+
+    isEmpty(search) {
+        return search.text.length === 0 && search.amounts.length === 0 && !search.from && !search.to &&
+            search.methods.length === 0 && search.vendors.length === 0 && search.categories.length === 0 && search.tags.length === 0;
+    }
+
+    // Adds the token's filter to the search; false when it looks like a filter but cannot be read
+    parseToken(token, search) {
+        const comparison = token.match(new RegExp(`^(>=|<=|>|<)(${BILL_SEARCH_AMOUNT})$`));
+        if (comparison) {
+            search.amounts.push({ op: comparison[1], value: this.toPaise(comparison[2]) });
+            return true;
+        }
+
+        const amountRange = token.match(new RegExp(`^(${BILL_SEARCH_AMOUNT})-(${BILL_SEARCH_AMOUNT})$`));
+        if (amountRange) {
+            search.amounts.push({ op: '>=', value: this.toPaise(amountRange[1]) }, { op: '<=', value: this.toPaise(amountRange[2]) });
+            return true;
+        }
+
+        const dateRange = token.match(/^([\d/-]+)\.\.([\d/-]+)$/);
+        if (dateRange) {
+            const from = this.parseDate(dateRange[1]);
+            const to = this.parseDate(dateRange[2]);
+            if (!from || !to) return false;
+            search.from = from;
+            search.to = to;
+            return true;
+        }
+
+        if (token.startsWith('#')) {
+            const tag = this.unquote(token.slice(1)).toLowerCase();
+            if (tag) search.tags.push(tag);
+            return Boolean(tag);
+        }
+
+        const filter = token.match(/^([a-z]+):(.*)$/i);
+        const field = filter && BILL_SEARCH_KEYS[filter[1].toLowerCase()];
+        if (field) {
+            const value = this.unquote(filter[2]);
+            if (!value) return false;
+            if (['from', 'to', 'on'].includes(field)) return this.setDate(search, field, value);
+            search[field].push(value.toLowerCase());
+            return true;
+        }
+
+        const text = this.unquote(token);
+        if (text) search.text.push(text);
+        return true;
+    }
+
+    setDate(search, field, value) {
+        const date = this.parseDate(value);
+        if (!date) return false;
+        if (field !== 'to') search.from = date;
+        if (field !== 'from') search.to = date;
+        return true;
+    }
+
+    // YYYY-MM-DD or DD/MM/YYYY (also DD-MM-YYYY)
+    parseDate(value) {
+        let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+        let [year, month, day] = match ? match.slice(1).map(Number) : [];
+        if (!match) {
+            match = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+            if (!match) return null;
+            [day, month, year] = match.slice(1).map(Number);
+        }
+
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+        return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    }
+
+    unquote(value) {
+        return value.replace(/^"|"$/g, '').trim();
+    }
+
+    toPaise(value) {
+        return Math.round(parseFloat(value) * 100);
+    }
+}
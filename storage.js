@@ -0,0 +1,198 @@
+// Auto Bill Recorder Storage Layer (IndexedDB)
+
+const DB_NAME = 'autoBillRecorder';
+
+// Schema migrations - index N upgrades the database from version N to N + 1.
+// Never edit a shipped migration, append a new one instead.
+const DB_MIGRATIONS = [
+    // v1: bills, current bill products and app settings
+    (db) => {
+        db.createObjectStore('bills', { keyPath: 'id' });
+        db.createObjectStore('products', { keyPath: 'id' });
+        db.createObjectStore('settings', { keyPath: 'key' });
+    },
+    // v2: recycle bin for deleted bills
+    (db) => {
+        db.createObjectStore('trash', { keyPath: 'id' });
+    },
+    // v3: vendor / merchant directory
+    (db) => {
+        db.createObjectStore('vendors', { keyPath: 'id' });
+    },
+    // v4: product catalog built from past bills
+    (db) => {
+        db.createObjectStore('catalog', { keyPath: 'id' });
+    },
+    // v5: recurring bill templates
+    (db) => {
+        db.createObjectStore('recurring', { keyPath: 'id' });
+    }
+];
+
+const DB_VERSION = DB_MIGRATIONS.length;
+
+// localStorage keys used before IndexedDB, moved into the settings store on first run
+const LEGACY_SETTING_KEYS = ['pendingSync', 'monthlyBudget', 'theme', 'colorTheme', 'fontFamily'];
+
+class BillStorage {
+    constructor() {
+        this.db = null;
+        this.ready = null;
+        // Legacy localStorage keys that could not be read and were left in place
+        this.skippedLegacyKeys = [];
+    }
+
+    open() {
+        if (this.ready) return this.ready;
+
+        this.ready = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                const transaction = request.transaction;
+                for (let version = event.oldVersion; version < DB_VERSION; version++) {
+                    DB_MIGRATIONS[version](db, transaction);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Another tab upgraded the schema - release our connection
+                this.db.onversionchange = () => this.db.close();
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('Database upgrade blocked by another open tab');
+        }).then(() => this.migrateLegacyStorage());
+
+        return this.ready;
+    }
+
+    // Wrap a single-store request in a promise that settles with the transaction
+    run(storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    getAll(storeName) {
+        return this.run(storeName, 'readonly', store => store.getAll());
+    }
+
+    get(storeName, key) {
+        return this.run(storeName, 'readonly', store => store.get(key));
+    }
+
+    put(storeName, value) {
+        return this.run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    putAll(storeName, values) {
+        return this.run(storeName, 'readwrite', store => {
+            values.forEach(value => store.put(value));
+        });
+    }
+
+    delete(storeName, key) {
+        return this.run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    clear(storeName) {
+        return this.run(storeName, 'readwrite', store => store.clear());
+    }
+
+    // Replace the whole contents of a store in one transaction
+    replaceAll(storeName, values) {
+        return this.run(storeName, 'readwrite', store => {
+            store.clear();
+            values.forEach(value => store.put(value));
+        });
+    }
+
+    // Bills
+    getAllBills() {
+        return this.getAll('bills').then(bills => bills.sort((a, b) => new Date(a.date) - new Date(b.date)));
+    }
+
+    putBill(bill) {
+        return this.put('bills', bill);
+    }
+
+    deleteBill(billId) {
+        return this.delete('bills', billId);
+    }
+
+    // Settings
+    getSetting(key, fallback = null) {
+        return this.get('settings', key).then(record => (record ? record.value : fallback));
+    }
+
+    setSetting(key, value) {
+        return this.put('settings', { key, value });
+    }
+
+    async getSettings() {
+        const records = await this.getAll('settings');
+        return records.reduce((settings, record) => {
+            settings[record.key] = record.value;
+            return settings;
+        }, {});
+    }
+
+    // One-time move of the old localStorage data into IndexedDB
+    async migrateLegacyStorage() {
+        if (await this.getSetting('legacyMigrated', false)) return;
+
+        // A corrupt value is skipped and kept in localStorage rather than blocking every start
+        const parseLegacy = (key, value) => {
+            try {
+                return JSON.parse(value);
+            } catch (error) {
+                console.warn(`Skipping unreadable localStorage "${key}":`, error);
+                this.skippedLegacyKeys.push(key);
+                return undefined;
+            }
+        };
+
+        const legacyBills = localStorage.getItem('bills');
+        if (legacyBills) {
+            const bills = parseLegacy('bills', legacyBills);
+            if (Array.isArray(bills)) {
+                await this.putAll('bills', bills);
+            }
+        }
+
+        for (const key of LEGACY_SETTING_KEYS) {
+            const value = localStorage.getItem(key);
+            if (value === null) continue;
+
+            if (key === 'pendingSync') {
+                const pending = parseLegacy(key, value);
+                if (pending !== undefined) await this.setSetting(key, pending);
+            } else if (key === 'monthlyBudget') {
+                await this.setSetting(key, parseFloat(value));
+            } else {
+                await this.setSetting(key, value);
+            }
+        }
+
+        await this.setSetting('legacyMigrated', true);
+
+        // Only drop the old keys once everything is safely written
+        ['bills', ...LEGACY_SETTING_KEYS]
+            .filter(key => !this.skippedLegacyKeys.includes(key))
+            .forEach(key => localStorage.removeItem(key));
+        console.log('Migrated data from localStorage to IndexedDB');
+    }
+}
@@ -0,0 +1,23 @@
+// Auto Bill Recorder Service Worker
+//
+// Shows the app's budget and reminder notifications (some browsers, such as Chrome
+// on Android, only allow notifications from a service worker) and brings the app
+// to the front when one is tapped. Nothing is cached here.
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const tab = event.notification.data?.tab || 'dashboard';
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        if (windows.length > 0) {
+            windows[0].postMessage({ type: 'notification-click', tab });
+            return windows[0].focus();
+        }
+        return self.clients.openWindow('./');
+    })());
+});
@@ -0,0 +1,68 @@
+// Auto Bill Recorder Sync Transport (REST)
+//
+// Any server that speaks this small protocol can be used as the sync endpoint:
+//
+//   POST {endpoint}/changes
+//        body:  { clientId, changes: [{ seq, op, billId, bill, timestamp }] }
+//        reply: { accepted: [seq, ...] }   (no "accepted" list means every change was accepted)
+//
+//   GET  {endpoint}/changes?since={cursor}&clientId={clientId}
+//        reply: { changes: [{ op, billId, bill, clientId }], cursor }
+//
+// "op" is one of create, update or delete. Changes are sent oldest first and the
+// server should return other clients' changes in the order it stored them.
+
+const SYNC_REQUEST_TIMEOUT = 15000;
+
+class RestSyncTransport {
+    constructor(endpoint) {
+        this.endpoint = endpoint.replace(/\/+$/, '');
+    }
+
+    async request(path, options = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), SYNC_REQUEST_TIMEOUT);
+
+        try {
+            const response = await fetch(this.endpoint + path, {
+                ...options,
+                headers: { 'Content-Type': 'application/json', ...options.headers },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Server responded ${response.status}`);
+            }
+
+            const text = await response.text();
+            return text ? JSON.parse(text) : {};
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('Sync server did not respond');
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Resolves with the seq numbers the server accepted
+    async push(clientId, changes) {
+        const result = await this.request('/changes', {
+            method: 'POST',
+            body: JSON.stringify({ clientId, changes })
+        });
+        return Array.isArray(result.accepted) ? result.accepted : changes.map(change => change.seq);
+    }
+
+    async pull(clientId, cursor) {
+        const params = new URLSearchParams({ clientId });
+        if (cursor !== null && cursor !== undefined) params.set('since', cursor);
+
+        const result = await this.request(`/changes?${params}`);
+        return {
+            changes: Array.isArray(result.changes) ? result.changes : [],
+            cursor: result.cursor ?? cursor
+        };
+    }
+}
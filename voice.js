@@ -0,0 +1,569 @@
+// Auto Bill Recorder Voice Entry
+//
+// Turns a spoken product line into form fields, e.g.
+//   "two kilo rice one hundred twenty rupees groceries"
+//     -> { name: 'Rice', quantity: 2, unit: 'kg', price: 12000, category: 'Groceries' }
+//   "दो किलो चावल एक सौ बीस रुपये किराना"
+//     -> { name: 'चावल', quantity: 2, unit: 'kg', price: 12000, category: 'Groceries' }
+//
+// Categories are matched by name, or by a word from the language's table for the default ones.
+//
+// Numbers may be spoken as words (English or the chosen language) or digits in any Indian script.
+// The price is per unit unless the line says "total". Amounts are in paise, like
+// everywhere else in the app.
+
+// Recognition languages offered in the app
+const VOICE_LANGUAGES = [
+    { code: 'en-IN', name: 'English (India)' },
+    { code: 'hi-IN', name: 'हिन्दी (Hindi)' },
+    { code: 'mr-IN', name: 'मराठी (Marathi)' },
+    { code: 'ta-IN', name: 'தமிழ் (Tamil)' },
+    { code: 'te-IN', name: 'తెలుగు (Telugu)' },
+    { code: 'bn-IN', name: 'বাংলা (Bengali)' },
+    { code: 'gu-IN', name: 'ગુજરાતી (Gujarati)' },
+    { code: 'kn-IN', name: 'ಕನ್ನಡ (Kannada)' },
+    { code: 'ml-IN', name: 'മലയാളം (Malayalam)' },
+    { code: 'pa-IN', name: 'ਪੰਜਾਬੀ (Punjabi)' }
+];
+
+// Code points of zero in the Indian scripts' own digits (Devanagari, Bengali, Gurmukhi,
+// Gujarati, Odia, Tamil, Telugu, Kannada, Malayalam)
+const VOICE_DIGIT_ZEROS = [0x0966, 0x09E6, 0x0A66, 0x0AE6, 0x0B66, 0x0BE6, 0x0C66, 0x0CE6, 0x0D66];
+
+// Hindi has its own word for every number up to 99
+const HINDI_NUMBERS = [
+    'शून्य', 'एक', 'दो', 'तीन', 'चार', 'पांच', 'छह', 'सात', 'आठ', 'नौ',
+    'दस', 'ग्यारह', 'बारह', 'तेरह', 'चौदह', 'पंद्रह', 'सोलह', 'सत्रह', 'अठारह', 'उन्नीस',
+    'बीस', 'इक्कीस', 'बाईस', 'तेईस', 'चौबीस', 'पच्चीस', 'छब्बीस', 'सत्ताईस', 'अट्ठाईस', 'उनतीस',
+    'तीस', 'इकतीस', 'बत्तीस', 'तैंतीस', 'चौंतीस', 'पैंतीस', 'छत्तीस', 'सैंतीस', 'अड़तीस', 'उनतालीस',
+    'चालीस', 'इकतालीस', 'बयालीस', 'तैंतालीस', 'चवालीस', 'पैंतालीस', 'छियालीस', 'सैंतालीस', 'अड़तालीस', 'उनचास',
+    'पचास', 'इक्यावन', 'बावन', 'तिरपन', 'चौवन', 'पचपन', 'छप्पन', 'सत्तावन', 'अट्ठावन', 'उनसठ',
+    'साठ', 'इकसठ', 'बासठ', 'तिरसठ', 'चौंसठ', 'पैंसठ', 'छियासठ', 'सड़सठ', 'अड़सठ', 'उनहत्तर',
+    'सत्तर', 'इकहत्तर', 'बहत्तर', 'तिहत्तर', 'चौहत्तर', 'पचहत्तर', 'छिहत्तर', 'सतहत्तर', 'अठहत्तर', 'उन्यासी',
+    'अस्सी', 'इक्यासी', 'बयासी', 'तिरासी', 'चौरासी', 'पचासी', 'छियासी', 'सत्तासी', 'अट्ठासी', 'नवासी',
+    'नब्बे', 'इक्यानवे', 'बानवे', 'तिरानवे', 'चौरानवे', 'पचानवे', 'छियानवे', 'सत्तानवे', 'अट्ठानवे', 'निन्यानवे'
+];
+
+// Words by language; every language also understands the English words. Where a language
+// merges tens and ones into one word (Hindi's "पच्चीस"), only Hindi lists them all; elsewhere the
+// tables hold up to ten or twenty plus the tens, and "twenty five" is understood spoken as two words
+const VOICE_WORDS = {
+    en: {
+        numbers: {
+            zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+            ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+            seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50,
+            sixty: 60, seventy: 70, eighty: 80, ninety: 90
+        },
+        multipliers: { hundred: 100, thousand: 1000, lakh: 100000, lakhs: 100000 },
+        fractions: { half: 0.5 },
+        // Spoken unit -> unit stored on the product
+        units: {
+            kg: 'kg', kgs: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+            g: 'g', gm: 'g', gms: 'g', gram: 'g', grams: 'g',
+            l: 'l', litre: 'l', litres: 'l', liter: 'l', liters: 'l',
+            ml: 'ml', millilitre: 'ml', millilitres: 'ml', milliliter: 'ml', milliliters: 'ml',
+            dozen: 'dozen', dozens: 'dozen',
+            pack: 'pack', packs: 'pack', packet: 'pack', packets: 'pack',
+            piece: 'pcs', pieces: 'pcs', pcs: 'pcs',
+            bottle: 'bottle', bottles: 'bottle',
+            box: 'box', boxes: 'box'
+        },
+        currency: ['rupee', 'rupees', 'rs', 'inr', 'bucks'],
+        paise: ['paise', 'paisa'],
+        total: ['total'],
+        and: ['and'],
+        fillers: ['of', 'for', 'at', 'each', 'per', 'price', 'is', 'a', 'an', 'the', 'and', 'category', 'in'],
+        // Spoken words for the default categories, used when a category by that name is in use
+        categories: {
+            grocery: 'Groceries', clothes: 'Clothing', medicines: 'Medicine', medical: 'Medicine', electronic: 'Electronics'
+        },
+        // Phrases that end a continuous voice session
+        commands: {
+            done: ['done', 'stop', 'stop listening', 'that is all', "that's all"],
+            generate: ['generate bill', 'generate the bill', 'make bill', 'create bill']
+        }
+    },
+    hi: {
+        numbers: Object.fromEntries([...HINDI_NUMBERS.map((word, value) => [word, value]), ['पाँच', 5], ['छः', 6], ['छे', 6]]),
+        multipliers: { 'सौ': 100, 'हजार': 1000, 'हज़ार': 1000, 'लाख': 100000 },
+        fractions: { 'आधा': 0.5, 'आधी': 0.5, 'डेढ़': 1.5, 'ढाई': 2.5 },
+        units: {
+            'किलो': 'kg', 'किलोग्राम': 'kg', 'ग्राम': 'g', 'लीटर': 'l', 'मिलीलीटर': 'ml',
+            'दर्जन': 'dozen', 'पैकेट': 'pack', 'पीस': 'pcs', 'बोतल': 'bottle', 'डिब्बा': 'box', 'डिब्बे': 'box'
+        },
+        currency: ['रुपये', 'रुपए', 'रुपया', 'रु'],
+        paise: ['पैसे', 'पैसा'],
+        total: ['कुल'],
+        and: ['और'],
+        fillers: ['का', 'की', 'के', 'में', 'और', 'है', 'वाला', 'वाली', 'प्रति', 'दाम'],
+        categories: {
+            'किराना': 'Groceries', 'राशन': 'Groceries', 'खाना': 'Food', 'भोजन': 'Food', 'कपड़े': 'Clothing',
+            'दवा': 'Medicine', 'दवाई': 'Medicine', 'इलेक्ट्रॉनिक्स': 'Electronics', 'अन्य': 'Other'
+        },
+        commands: {
+            done: ['बस', 'हो गया', 'बंद करो'],
+            generate: ['बिल बनाओ', 'बिल बना दो']
+        }
+    },
+    mr: {
+        numbers: {
+            'शून्य': 0, 'एक': 1, 'दोन': 2, 'तीन': 3, 'चार': 4, 'पाच': 5, 'सहा': 6, 'सात': 7, 'आठ': 8, 'नऊ': 9,
+            'दहा': 10, 'अकरा': 11, 'बारा': 12, 'तेरा': 13, 'चौदा': 14, 'पंधरा': 15, 'सोळा': 16, 'सतरा': 17, 'अठरा': 18, 'एकोणीस': 19,
+            'वीस': 20, 'तीस': 30, 'चाळीस': 40, 'पन्नास': 50, 'साठ': 60, 'सत्तर': 70, 'ऐंशी': 80, 'नव्वद': 90
+        },
+        multipliers: { 'शंभर': 100, 'हजार': 1000, 'लाख': 100000 },
+        fractions: { 'अर्धा': 0.5, 'अर्धी': 0.5, 'दीड': 1.5, 'अडीच': 2.5 },
+        units: {
+            'किलो': 'kg', 'ग्रॅम': 'g', 'ग्राम': 'g', 'लिटर': 'l', 'डझन': 'dozen', 'पाकीट': 'pack',
+            'नग': 'pcs', 'बाटली': 'bottle', 'डबा': 'box'
+        },
+        currency: ['रुपये', 'रुपया', 'रु'],
+        paise: ['पैसे'],
+        total: ['एकूण'],
+        and: ['आणि'],
+        fillers: ['चा', 'ची', 'चे', 'ला', 'आणि', 'प्रति', 'किंमत'],
+        categories: {
+            'किराणा': 'Groceries', 'जेवण': 'Food', 'कपडे': 'Clothing', 'औषध': 'Medicine', 'औषधे': 'Medicine',
+            'इलेक्ट्रॉनिक्स': 'Electronics', 'इतर': 'Other'
+        },
+        commands: {
+            done: ['बस', 'झाले', 'थांबा'],
+            generate: ['बिल बनवा', 'बिल तयार करा']
+        }
+    },
+    ta: {
+        numbers: {
+            'பூஜ்யம்': 0, 'ஒன்று': 1, 'இரண்டு': 2, 'மூன்று': 3, 'நான்கு': 4, 'ஐந்து': 5, 'ஆறு': 6, 'ஏழு': 7, 'எட்டு': 8, 'ஒன்பது': 9,
+            'பத்து': 10, 'இருபது': 20, 'முப்பது': 30, 'நாற்பது': 40, 'ஐம்பது': 50, 'அறுபது': 60, 'எழுபது': 70, 'எண்பது': 80, 'தொண்ணூறு': 90
+        },
+        multipliers: { 'நூறு': 100, 'ஆயிரம்': 1000, 'லட்சம்': 100000 },
+        fractions: { 'அரை': 0.5 },
+        units: {
+            'கிலோ': 'kg', 'கிராம்': 'g', 'லிட்டர்': 'l', 'டஜன்': 'dozen', 'பாக்கெட்': 'pack',
+            'பாட்டில்': 'bottle', 'பெட்டி': 'box'
+        },
+        currency: ['ரூபாய்', 'ரூ'],
+        paise: ['பைசா', 'காசு'],
+        total: ['மொத்தம்'],
+        and: ['மற்றும்'],
+        fillers: ['மற்றும்', 'விலை'],
+        categories: {
+            'மளிகை': 'Groceries', 'உணவு': 'Food', 'துணி': 'Clothing', 'ஆடை': 'Clothing', 'மருந்து': 'Medicine',
+            'மின்னணு': 'Electronics', 'மற்றவை': 'Other'
+        },
+        commands: {
+            done: ['முடிந்தது', 'நிறுத்து'],
+            generate: ['பில் போடு', 'பில் உருவாக்கு']
+        }
+    },
+    te: {
+        numbers: {
+            'సున్నా': 0, 'ఒకటి': 1, 'రెండు': 2, 'మూడు': 3, 'నాలుగు': 4, 'ఐదు': 5, 'ఆరు': 6, 'ఏడు': 7, 'ఎనిమిది': 8, 'తొమ్మిది': 9,
+            'పది': 10, 'ఇరవై': 20, 'ముప్పై': 30, 'నలభై': 40, 'యాభై': 50, 'అరవై': 60, 'డెబ్బై': 70, 'ఎనభై': 80, 'తొంభై': 90
+        },
+        multipliers: { 'వంద': 100, 'వెయ్యి': 1000, 'లక్ష': 100000 },
+        fractions: { 'అర': 0.5 },
+        units: {
+            'కిలో': 'kg', 'గ్రాము': 'g', 'గ్రాములు': 'g', 'లీటరు': 'l', 'లీటర్': 'l', 'డజను': 'dozen',
+            'ప్యాకెట్': 'pack', 'సీసా': 'bottle', 'బాటిల్': 'bottle', 'డబ్బా': 'box'
+        },
+        currency: ['రూపాయలు', 'రూపాయి', 'రూ'],
+        paise: ['పైసలు'],
+        total: ['మొత్తం'],
+        and: ['మరియు'],
+        fillers: ['మరియు', 'ధర'],
+        categories: {
+            'కిరాణా': 'Groceries', 'ఆహారం': 'Food', 'బట్టలు': 'Clothing', 'మందు': 'Medicine', 'మందులు': 'Medicine',
+            'ఎలక్ట్రానిక్స్': 'Electronics', 'ఇతర': 'Other'
+        },
+        commands: {
+            done: ['అయిపోయింది', 'ఆపు'],
+            generate: ['బిల్ చేయి', 'బిల్లు చేయి']
+        }
+    },
+    bn: {
+        numbers: {
+            'শূন্য': 0, 'এক': 1, 'দুই': 2, 'তিন': 3, 'চার': 4, 'পাঁচ': 5, 'ছয়': 6, 'সাত': 7, 'আট': 8, 'নয়': 9,
+            'দশ': 10, 'একশো': 100, 'একশ': 100, 'এগারো': 11, 'বারো': 12, 'তেরো': 13, 'চোদ্দ': 14, 'পনেরো': 15, 'ষোলো': 16, 'সতেরো': 17, 'আঠারো': 18, 'উনিশ': 19,
+            'কুড়ি': 20, 'বিশ': 20, 'ত্রিশ': 30, 'চল্লিশ': 40, 'পঞ্চাশ': 50, 'ষাট': 60, 'সত্তর': 70, 'আশি': 80, 'নব্বই': 90
+        },
+        multipliers: { 'শো': 100, 'শত': 100, 'হাজার': 1000, 'লাখ': 100000 },
+        fractions: { 'আধা': 0.5, 'দেড়': 1.5, 'আড়াই': 2.5 },
+        units: {
+            'কেজি': 'kg', 'কিলো': 'kg', 'গ্রাম': 'g', 'লিটার': 'l', 'ডজন': 'dozen', 'প্যাকেট': 'pack',
+            'বোতল': 'bottle', 'বাক্স': 'box'
+        },
+        currency: ['টাকা'],
+        paise: ['পয়সা'],
+        total: ['মোট'],
+        and: ['এবং', 'আর'],
+        fillers: ['এবং', 'আর', 'দাম'],
+        categories: {
+            'মুদি': 'Groceries', 'খাবার': 'Food', 'কাপড়': 'Clothing', 'জামাকাপড়': 'Clothing', 'ওষুধ': 'Medicine',
+            'ইলেকট্রনিক্স': 'Electronics', 'অন্যান্য': 'Other'
+        },
+        commands: {
+            done: ['শেষ', 'থামো'],
+            generate: ['বিল বানাও', 'বিল তৈরি করো']
+        }
+    },
+    gu: {
+        numbers: {
+            'શૂન્ય': 0, 'એક': 1, 'બે': 2, 'ત્રણ': 3, 'ચાર': 4, 'પાંચ': 5, 'છ': 6, 'સાત': 7, 'આઠ': 8, 'નવ': 9,
+            'દસ': 10, 'અગિયાર': 11, 'બાર': 12, 'તેર': 13, 'ચૌદ': 14, 'પંદર': 15, 'સોળ': 16, 'સત્તર': 17, 'અઢાર': 18, 'ઓગણીસ': 19,
+            'વીસ': 20, 'ત્રીસ': 30, 'ચાલીસ': 40, 'પચાસ': 50, 'સાઠ': 60, 'સિત્તેર': 70, 'એંસી': 80, 'નેવું': 90
+        },
+        multipliers: { 'સો': 100, 'હજાર': 1000, 'લાખ': 100000 },
+        fractions: { 'અડધો': 0.5, 'અડધી': 0.5, 'દોઢ': 1.5, 'અઢી': 2.5 },
+        units: {
+            'કિલો': 'kg', 'ગ્રામ': 'g', 'લિટર': 'l', 'ડઝન': 'dozen', 'પેકેટ': 'pack',
+            'બોટલ': 'bottle', 'ડબ્બો': 'box'
+        },
+        currency: ['રૂપિયા', 'રૂપિયો', 'રૂ'],
+        paise: ['પૈસા'],
+        total: ['કુલ'],
+        and: ['અને'],
+        fillers: ['અને', 'નો', 'ની', 'નું', 'ભાવ'],
+        categories: {
+            'કરિયાણું': 'Groceries', 'કરિયાણા': 'Groceries', 'ખોરાક': 'Food', 'કપડાં': 'Clothing', 'દવા': 'Medicine',
+            'ઇલેક્ટ્રોનિક્સ': 'Electronics', 'અન્ય': 'Other'
+        },
+        commands: {
+            done: ['બસ', 'થઈ ગયું'],
+            generate: ['બિલ બનાવો']
+        }
+    },
+    kn: {
+        numbers: {
+            'ಸೊನ್ನೆ': 0, 'ಒಂದು': 1, 'ಎರಡು': 2, 'ಮೂರು': 3, 'ನಾಲ್ಕು': 4, 'ಐದು': 5, 'ಆರು': 6, 'ಏಳು': 7, 'ಎಂಟು': 8, 'ಒಂಬತ್ತು': 9,
+            'ಹತ್ತು': 10, 'ಇಪ್ಪತ್ತು': 20, 'ಮೂವತ್ತು': 30, 'ನಲವತ್ತು': 40, 'ಐವತ್ತು': 50, 'ಅರವತ್ತು': 60, 'ಎಪ್ಪತ್ತು': 70, 'ಎಂಬತ್ತು': 80, 'ತೊಂಬತ್ತು': 90
+        },
+        multipliers: { 'ನೂರು': 100, 'ಸಾವಿರ': 1000, 'ಲಕ್ಷ': 100000 },
+        fractions: { 'ಅರ್ಧ': 0.5 },
+        units: {
+            'ಕಿಲೋ': 'kg', 'ಗ್ರಾಂ': 'g', 'ಲೀಟರ್': 'l', 'ಡಜನ್': 'dozen', 'ಪ್ಯಾಕೆಟ್': 'pack',
+            'ಬಾಟಲ್': 'bottle', 'ಡಬ್ಬ': 'box'
+        },
+        currency: ['ರೂಪಾಯಿ', 'ರೂ'],
+        paise: ['ಪೈಸೆ'],
+        total: ['ಒಟ್ಟು'],
+        and: ['ಮತ್ತು'],
+        fillers: ['ಮತ್ತು', 'ಬೆಲೆ'],
+        categories: {
+            'ದಿನಸಿ': 'Groceries', 'ಆಹಾರ': 'Food', 'ಬಟ್ಟೆ': 'Clothing', 'ಔಷಧ': 'Medicine', 'ಔಷಧಿ': 'Medicine',
+            'ಎಲೆಕ್ಟ್ರಾನಿಕ್ಸ್': 'Electronics', 'ಇತರೆ': 'Other'
+        },
+        commands: {
+            done: ['ಮುಗಿಯಿತು', 'ನಿಲ್ಲಿಸು'],
+            generate: ['ಬಿಲ್ ಮಾಡು']
+        }
+    },
+    ml: {
+        numbers: {
+            'പൂജ്യം': 0, 'ഒന്ന്': 1, 'രണ്ട്': 2, 'മൂന്ന്': 3, 'നാല്': 4, 'അഞ്ച്': 5, 'ആറ്': 6, 'ഏഴ്': 7, 'എട്ട്': 8, 'ഒമ്പത്': 9,
+            'പത്ത്': 10, 'ഇരുപത്': 20, 'മുപ്പത്': 30, 'നാല്പത്': 40, 'അമ്പത്': 50, 'അറുപത്': 60, 'എഴുപത്': 70, 'എൺപത്': 80, 'തൊണ്ണൂറ്': 90
+        },
+        multipliers: { 'നൂറ്': 100, 'ആയിരം': 1000, 'ലക്ഷം': 100000 },
+        fractions: { 'അര': 0.5 },
+        units: {
+            'കിലോ': 'kg', 'ഗ്രാം': 'g', 'ലിറ്റർ': 'l', 'ഡസൻ': 'dozen', 'പാക്കറ്റ്': 'pack',
+            'കുപ്പി': 'bottle', 'പെട്ടി': 'box'
+        },
+        currency: ['രൂപ'],
+        paise: ['പൈസ'],
+        total: ['ആകെ'],
+        and: ['പിന്നെ'],
+        fillers: ['പിന്നെ', 'വില'],
+        categories: {
+            'പലചരക്ക്': 'Groceries', 'ഭക്ഷണം': 'Food', 'വസ്ത്രം': 'Clothing', 'തുണി': 'Clothing', 'മരുന്ന്': 'Medicine',
+            'ഇലക്ട്രോണിക്സ്': 'Electronics', 'മറ്റുള്ളവ': 'Other'
+        },
+        commands: {
+            done: ['കഴിഞ്ഞു', 'നിർത്തു'],
+            generate: ['ബിൽ ഉണ്ടാക്കു']
+        }
+    },
+    pa: {
+        numbers: {
+            'ਇੱਕ': 1, 'ਦੋ': 2, 'ਤਿੰਨ': 3, 'ਚਾਰ': 4, 'ਪੰਜ': 5, 'ਛੇ': 6, 'ਸੱਤ': 7, 'ਅੱਠ': 8, 'ਨੌਂ': 9,
+            'ਦਸ': 10, 'ਗਿਆਰਾਂ': 11, 'ਬਾਰਾਂ': 12, 'ਤੇਰਾਂ': 13, 'ਚੌਦਾਂ': 14, 'ਪੰਦਰਾਂ': 15, 'ਸੋਲਾਂ': 16, 'ਸਤਾਰਾਂ': 17, 'ਅਠਾਰਾਂ': 18, 'ਉੱਨੀ': 19,
+            'ਵੀਹ': 20, 'ਤੀਹ': 30, 'ਚਾਲੀ': 40, 'ਪੰਜਾਹ': 50, 'ਸੱਠ': 60, 'ਸੱਤਰ': 70, 'ਅੱਸੀ': 80, 'ਨੱਬੇ': 90
+        },
+        multipliers: { 'ਸੌ': 100, 'ਹਜਾਰ': 1000, 'ਲੱਖ': 100000 },
+        fractions: { 'ਅੱਧਾ': 0.5, 'ਅੱਧੀ': 0.5, 'ਡੇਢ': 1.5, 'ਢਾਈ': 2.5 },
+        units: {
+            'ਕਿੱਲੋ': 'kg', 'ਕਿਲੋ': 'kg', 'ਗ੍ਰਾਮ': 'g', 'ਲੀਟਰ': 'l', 'ਦਰਜਨ': 'dozen', 'ਪੈਕਟ': 'pack',
+            'ਬੋਤਲ': 'bottle', 'ਡੱਬਾ': 'box'
+        },
+        currency: ['ਰੁਪਏ', 'ਰੁਪਈਏ', 'ਰੁਪਿਆ'],
+        paise: ['ਪੈਸੇ'],
+        total: ['ਕੁੱਲ'],
+        and: ['ਅਤੇ', 'ਤੇ'],
+        fillers: ['ਅਤੇ', 'ਤੇ', 'ਦਾ', 'ਦੀ', 'ਦੇ', 'ਭਾਅ'],
+        categories: {
+            'ਕਰਿਆਨਾ': 'Groceries', 'ਰਾਸ਼ਨ': 'Groceries', 'ਖਾਣਾ': 'Food', 'ਕੱਪੜੇ': 'Clothing', 'ਦਵਾਈ': 'Medicine',
+            'ਇਲੈਕਟ੍ਰਾਨਿਕਸ': 'Electronics'
+        },
+        commands: {
+            done: ['ਬੱਸ', 'ਹੋ ਗਿਆ'],
+            generate: ['ਬਿੱਲ ਬਣਾਓ']
+        }
+    }
+};
+
+// Devanagari (Hindi, Marathi) -> Latin letters, so names can be searched in either script
+const DEVANAGARI_VOWELS = {
+    'अ': 'a', 'आ': 'aa', 'इ': 'i', 'ई': 'ee', 'उ': 'u', 'ऊ': 'oo', 'ऋ': 'ri',
+    'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au', 'ऑ': 'o'
+};
+const DEVANAGARI_SIGNS = {
+    'ा': 'aa', 'ि': 'i', 'ी': 'ee', 'ु': 'u', 'ू': 'oo', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', '्': ''
+};
+const DEVANAGARI_CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n', 'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'jh', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n', 'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm', 'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h',
+    'क़': 'q', 'ख़': 'kh', 'ग़': 'g', 'ज़': 'z', 'ड़': 'r', 'ढ़': 'rh', 'फ़': 'f'
+};
+const DEVANAGARI_NASALS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h' };
+const DEVANAGARI_NUKTA = '़';
+
+class VoiceEntryParser {
+    constructor(language = 'en-IN') {
+        this.setLanguage(language);
+    }
+
+    // English words stay understood alongside the chosen language's own
+    setLanguage(language) {
+        const english = VOICE_WORDS.en;
+        const own = VOICE_WORDS[language.split('-')[0]];
+        this.words = !own || own === english ? english : {
+            numbers: { ...english.numbers, ...own.numbers },
+            multipliers: { ...english.multipliers, ...own.multipliers },
+            fractions: { ...english.fractions, ...own.fractions },
+            units: { ...english.units, ...own.units },
+            currency: [...english.currency, ...own.currency],
+            paise: [...english.paise, ...own.paise],
+            total: [...english.total, ...own.total],
+            and: [...english.and, ...own.and],
+            fillers: [...english.fillers, ...own.fillers],
+            categories: { ...english.categories, ...own.categories },
+            commands: {
+                done: [...english.commands.done, ...own.commands.done],
+                generate: [...english.commands.generate, ...own.commands.generate]
+            }
+        };
+    }
+
+    // Returns 'done', 'generate' or null
+    getCommand(transcript) {
+        const text = this.normalize(transcript);
+        return Object.keys(this.words.commands).find(command => this.words.commands[command].includes(text)) || null;
+    }
+
+    normalize(transcript) {
+        return transcript
+            .normalize('NFC')
+            .toLowerCase()
+            .replace(/\p{Nd}/gu, digit => this.toAsciiDigit(digit))
+            .replace(/₹\s*/g, ' rupees ')
+            .replace(/(\d),(\d{3})(?!\d)/g, '$1$2')
+            .replace(/(\d)\s*(rs|kg|kgs|g|gm|gms|l|ml|pcs)\b/g, '$1 $2')
+            // Dots stay only as decimal points, so "Generate bill." and "60 rs." read as spoken
+            .replace(/\.(?!\d)/g, ' ')
+            .replace(/[^\p{L}\p{M}\d.'\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    toAsciiDigit(digit) {
+        const code = digit.codePointAt(0);
+        const zero = VOICE_DIGIT_ZEROS.find(start => code >= start && code <= start + 9);
+        return zero === undefined ? digit : String(code - zero);
+    }
+
+    // Replaces runs of number words with numbers: "one hundred and twenty" -> 120
+    tokenize(text) {
+        const { numbers, multipliers, fractions } = this.words;
+        const words = text.split(' ').filter(Boolean);
+        const tokens = [];
+        let total = 0;
+        let current = 0;
+        let inNumber = false;
+
+        const flush = () => {
+            if (inNumber) tokens.push(total + current);
+            total = 0;
+            current = 0;
+            inNumber = false;
+        };
+
+        words.forEach((word, index) => {
+            if (Object.hasOwn(numbers, word)) {
+                // "two fifty" is two numbers, "twenty two" is one
+                const value = numbers[word];
+                const last = current % 100;
+                if (inNumber && last !== 0 && (value >= 10 || last % 10 !== 0)) flush();
+                current += value;
+                inNumber = true;
+            } else if (Object.hasOwn(multipliers, word)) {
+                // "hundred rupees" on its own, as Tamil "நூறு" or Telugu "వంద" are said
+                if (!inNumber) current = 1;
+                inNumber = true;
+                const multiplier = multipliers[word];
+                if (multiplier === 100) {
+                    current *= multiplier;
+                } else {
+                    total += current * multiplier;
+                    current = 0;
+                }
+            } else if (this.words.and.includes(word) && inNumber && Object.hasOwn(numbers, words[index + 1])) {
+                // "one hundred and twenty"
+            } else if (Object.hasOwn(fractions, word)) {
+                flush();
+                tokens.push(fractions[word]);
+            } else if (/^\d+(\.\d+)?$/.test(word)) {
+                flush();
+                tokens.push(parseFloat(word));
+            } else {
+                flush();
+                tokens.push(word);
+            }
+        });
+        flush();
+        return tokens;
+    }
+
+    // categories: names to recognise, e.g. ['Groceries', 'Food']
+    parse(transcript, categories = []) {
+        const { units, currency, paise, total, fillers } = this.words;
+        const tokens = this.tokenize(this.normalize(transcript));
+        const used = new Set();
+        const result = { name: '', quantity: null, unit: '', price: null, category: null };
+        const isNumber = index => typeof tokens[index] === 'number' && !used.has(index);
+        const isWord = (index, words) => typeof tokens[index] === 'string' && words.includes(tokens[index]);
+        const isUnit = index => typeof tokens[index] === 'string' && Object.hasOwn(units, tokens[index]);
+
+        // Category: longest name or spoken word for one found anywhere, spoken last as a rule
+        const spokenCategories = categories.map(category => [category, category]).concat(Object.entries(this.words.categories)
+            .map(([word, name]) => [word, categories.find(category => category.toLowerCase() === name.toLowerCase())])
+            .filter(([, category]) => category));
+        spokenCategories.sort((a, b) => b[0].length - a[0].length);
+        for (const [spoken, category] of spokenCategories) {
+            const words = this.normalize(spoken).split(' ');
+            const start = tokens.findIndex((token, index) => words.every((word, offset) => tokens[index + offset] === word));
+            if (start !== -1) {
+                result.category = category;
+                words.forEach((word, offset) => used.add(start + offset));
+                break;
+            }
+        }
+
+        // Price: "120 rupees [50 paise]", "rupees 120" or "rs 120"
+        const isTotal = tokens.some(token => total.includes(token));
+        tokens.forEach((token, index) => {
+            if (result.price !== null || !isWord(index, currency)) return;
+            const numberIndex = isNumber(index - 1) ? index - 1 : (isNumber(index + 1) ? index + 1 : -1);
+            if (numberIndex === -1) return;
+
+            let price = Math.round(tokens[numberIndex] * 100);
+            used.add(index).add(numberIndex);
+            if (numberIndex === index - 1 && isNumber(index + 1) && isWord(index + 2, paise)) {
+                price += Math.round(tokens[index + 1]);
+                used.add(index + 1).add(index + 2);
+            }
+            result.price = price;
+        });
+
+        // Quantity: a number followed by a unit, otherwise the first number left
+        tokens.forEach((token, index) => {
+            if (result.quantity !== null || !isNumber(index) || !isUnit(index + 1)) return;
+            result.quantity = token;
+            result.unit = units[tokens[index + 1]];
+            used.add(index).add(index + 1);
+        });
+        if (result.quantity === null) {
+            const index = tokens.findIndex((token, position) => isNumber(position));
+            if (index !== -1) {
+                result.quantity = tokens[index];
+                used.add(index);
+            }
+        }
+
+        // A number left over with no currency word is the price, e.g. "rice 2 kilo 60"
+        if (result.price === null) {
+            const index = tokens.findIndex((token, position) => isNumber(position));
+            if (index !== -1) {
+                result.price = Math.round(tokens[index] * 100);
+                used.add(index);
+            }
+        }
+
+        // A unit said without a number: "a kilo of sugar"
+        if (!result.unit) {
+            const index = tokens.findIndex((token, position) => !used.has(position) && isUnit(position));
+            if (index !== -1) {
+                result.unit = units[tokens[index]];
+                used.add(index);
+            }
+        }
+
+        if (isTotal && result.price !== null && result.quantity > 0) {
+            result.price = Math.round(result.price / result.quantity);
+        }
+
+        result.name = tokens
+            .filter((token, index) => !used.has(index) && typeof token === 'string' && !fillers.includes(token) && !total.includes(token))
+            .join(' ')
+            .replace(/\b[a-z]/g, letter => letter.toUpperCase());
+        return result;
+    }
+
+    // "चावल" -> "chaaval"; other scripts are left as they are
+    transliterate(text) {
+        // A nukta letter (ज़, फ़) is its consonant plus a dot; read the pair as one letter
+        const chars = [...text.normalize('NFC')].reduce((letters, char) => {
+            const letter = letters[letters.length - 1] + char;
+            if (char === DEVANAGARI_NUKTA && Object.hasOwn(DEVANAGARI_CONSONANTS, letter)) {
+                letters[letters.length - 1] = letter;
+            } else {
+                letters.push(char);
+            }
+            return letters;
+        }, []);
+        const isDevanagari = char => char !== undefined && /[ऀ-ॿ]/.test(char);
+        let output = '';
+
+        chars.forEach((char, index) => {
+            const next = chars[index + 1];
+            if (Object.hasOwn(DEVANAGARI_CONSONANTS, char)) {
+                output += DEVANAGARI_CONSONANTS[char];
+                // Consonants carry an "a" unless a vowel sign follows; it is silent at the end of a word
+                const endsWord = !isDevanagari(next) || (Object.hasOwn(DEVANAGARI_NASALS, next) && !isDevanagari(chars[index + 2]));
+                if (!Object.hasOwn(DEVANAGARI_SIGNS, next) && next !== DEVANAGARI_NUKTA && !endsWord) output += 'a';
+            } else if (Object.hasOwn(DEVANAGARI_SIGNS, char)) {
+                output += DEVANAGARI_SIGNS[char];
+            } else if (Object.hasOwn(DEVANAGARI_VOWELS, char)) {
+                output += DEVANAGARI_VOWELS[char];
+            } else if (Object.hasOwn(DEVANAGARI_NASALS, char)) {
+                output += DEVANAGARI_NASALS[char];
+            } else if (char !== DEVANAGARI_NUKTA) {
+                output += char;
+            }
+        });
+        return output;
+    }
+
+    // Loose Latin spelling for matching: "Chaaval", "chawal" and "चावल" all become "chaval"
+    toSearchText(text) {
+        return this.transliterate(text)
+            .toLowerCase()
+            .replace(/aa/g, 'a')
+            .replace(/ee/g, 'i')
+            .replace(/oo/g, 'u')
+            .replace(/w/g, 'v');
+    }
+}